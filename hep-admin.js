@@ -0,0 +1,94 @@
+/**
+ * HEP Relay Admin API
+ *
+ * Small HTTP listener exposing health, statistics and Prometheus metrics
+ * of a running HepToInfluxDBServer.
+ */
+
+class HepAdminServer {
+  /**
+   * @param {Object} relay - The HepToInfluxDBServer instance to expose
+   * @param {Object} options - Listener options
+   * @param {string} options.hostname - Address to bind
+   * @param {number} options.port - Port to listen on
+   */
+  constructor(relay, options = {}) {
+    this.relay = relay;
+    this.hostname = options.hostname || '0.0.0.0';
+    this.port = options.port;
+  }
+
+  /**
+   * Start the HTTP listener
+   */
+  start() {
+    this.server = Bun.serve({
+      hostname: this.hostname,
+      port: this.port,
+      fetch: (request) => this.handleRequest(request),
+      error: (error) => {
+        console.error('Admin API error:', error);
+        return new Response('Internal Server Error', { status: 500 });
+      }
+    });
+
+    console.log(`Admin API listening on ${this.hostname}:${this.port}`);
+  }
+
+  /**
+   * Route an admin request
+   * @param {Request} request - Incoming request
+   * @returns {Promise<Response>} Response
+   */
+  async handleRequest(request) {
+    const { pathname } = new URL(request.url);
+
+    if (request.method !== 'GET') {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+
+    switch (pathname) {
+      case '/health':
+        return this.handleHealth();
+      case '/stats':
+        return Response.json(this.relay.getStats());
+      case '/metrics':
+        return new Response(this.relay.metrics.render(), {
+          headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+        });
+      default:
+        return new Response('Not Found', { status: 404 });
+    }
+  }
+
+  /**
+   * Report readiness; the relay is only ready while every sink is reachable
+   * @returns {Promise<Response>} 200 when ready, 503 otherwise
+   */
+  async handleHealth() {
+    const sinks = await this.relay.checkSinks();
+    const reachable = sinks.every(sink => sink.reachable);
+    const body = {
+      status: reachable ? 'ok' : 'unavailable',
+      sinks
+    };
+    return Response.json(body, { status: reachable ? 200 : 503 });
+  }
+
+  /**
+   * Stop the HTTP listener
+   */
+  stop() {
+    if (this.server) {
+      this.server.stop(true);
+      this.server = null;
+    }
+  }
+}
+
+// Function to create a new admin server
+export function createHepAdminServer(relay, options) {
+  return new HepAdminServer(relay, options);
+}
+
+export default HepAdminServer;
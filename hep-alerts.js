@@ -0,0 +1,398 @@
+/**
+ * HEP SIP Alert Detector
+ *
+ * Watches the SIP messages the converter parses for abuse and produces one
+ * `sip_alerts` record when a source crosses a threshold within a sliding window:
+ *
+ *   scanner            requests from a known scanner User-Agent (friendly-scanner, sipvicious, ...)
+ *   register_failures  REGISTERs of one client rejected despite credentials, as in password guessing
+ *   invite_flood       INVITEs sent by one source
+ *
+ * A source alerts at most once per window for each kind. Alerts can also be posted
+ * as JSON to a webhook on the local network, one at a time; alerts beyond a small queue
+ * are dropped and counted rather than turning a flood into one of outgoing requests.
+ * Memory is bounded: the oldest sources are dropped when the limit is reached, and
+ * sources that went quiet are dropped by expire().
+ */
+
+import axios from 'axios';
+import { CaptureClock } from './hep-clock.js';
+import { parseCidr, ipInNetworks } from './hep-rules.js';
+
+export const ALERT_KINDS = ['scanner', 'register_failures', 'invite_flood'];
+
+// User-Agents of common SIP scanning and brute-forcing tools, matched case-insensitively
+export const SCANNER_USER_AGENTS = [
+  'friendly-scanner', 'sipvicious', 'sipcli', 'sip-scan', 'sipsak', 'smap', 'iwar', 'sivus', 'pplsip', 'vaxsipuseragent'
+];
+
+// Webhook hosts accepted by address: loopback, private and link-local networks
+const LOCAL_NETWORKS = [
+  '127.0.0.0/8', '10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '169.254.0.0/16',
+  '::1/128', 'fc00::/7', 'fe80::/10'
+].map(parseCidr);
+
+// Webhook hosts accepted by name: localhost, names without a domain and local domains
+const LOCAL_HOSTNAME = /^(localhost|[a-z0-9-]+|.+\.(local|internal|lan|localhost))$/i;
+
+/**
+ * Check whether a webhook host is on the local network
+ * @param {string} hostname - Host of the webhook URL
+ * @returns {boolean} True for local addresses and names
+ */
+function isLocalHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (/^[\d.]+$/.test(host) || host.includes(':')) return ipInNetworks(host, LOCAL_NETWORKS);
+  return LOCAL_HOSTNAME.test(host);
+}
+
+// Answers to a REGISTER with credentials that mean they were wrong
+const REJECTED_CREDENTIALS = [401, 403, 407];
+
+// Slots a window is divided into; counts are exact to a tenth of the window
+const WINDOW_SLOTS = 10;
+
+/**
+ * Count events within a sliding window, in a fixed number of slots
+ */
+class SlidingCounter {
+  /**
+   * @param {number} window - Window length (ms)
+   */
+  constructor(window) {
+    this.slotLength = window / WINDOW_SLOTS;
+    this.slots = new Array(WINDOW_SLOTS).fill(0);
+    this.slot = 0;
+  }
+
+  /**
+   * Count an event
+   * @param {number} time - Event time (ms)
+   * @returns {number} Events within the window ending at the latest event
+   */
+  add(time) {
+    const slot = Math.floor(time / this.slotLength);
+    if (slot > this.slot) {
+      // Clear the slots the window moved past
+      for (let i = this.slot + 1; i <= Math.min(slot, this.slot + WINDOW_SLOTS); i++) {
+        this.slots[i % WINDOW_SLOTS] = 0;
+      }
+      this.slot = slot;
+    }
+    // Late events still count while their slot is inside the window
+    if (this.slot - slot < WINDOW_SLOTS) {
+      this.slots[slot % WINDOW_SLOTS]++;
+    }
+    return this.slots.reduce((total, count) => total + count, 0);
+  }
+}
+
+class HepAlertDetector {
+  /**
+   * @param {Object} options - Detector options, see configure()
+   * @param {Function} options.onRecord - Called with every alert record
+   * @param {number} options.maxSources - Sources tracked at once before dropping the oldest
+   * @param {string} options.measurement - Measurement name of the records
+   */
+  constructor(options = {}) {
+    this.onRecord = options.onRecord || (() => {});
+    this.maxSources = options.maxSources || 100000;
+    this.measurement = options.measurement || 'sip_alerts';
+
+    // Counters by alert kind and source address, in creation order
+    this.sources = new Map();
+    // Time of the REGISTERs sent with credentials, by Call-ID and CSeq, until answered
+    this.credentialed = new Map();
+    // Alerts raised by kind
+    this.alerts = Object.fromEntries(ALERT_KINDS.map(kind => [kind, 0]));
+    // Alerts waiting for the webhook, posted one at a time
+    this.webhookQueue = [];
+    this.webhookPosting = false;
+    this.clock = new CaptureClock();
+
+    // Statistics
+    this.stats = {
+      alertsRaised: 0,
+      alertWebhooksSent: 0,
+      alertWebhookErrors: 0,
+      alertWebhooksDropped: 0
+    };
+
+    this.configure(options);
+  }
+
+  /**
+   * Set the window, thresholds and webhook; counts so far are kept unless the window changes
+   * @param {Object} options - Detector options
+   * @param {number} options.window - Sliding window (ms)
+   * @param {number} options.scannerThreshold - Scanner requests per source and window, 0 to disable
+   * @param {Array<string>} options.scannerUserAgents - User-Agent substrings of scanners; the
+   *   built-in list when empty
+   * @param {number} options.registerFailureThreshold - REGISTERs rejected despite credentials per
+   *   client and window, 0 to disable
+   * @param {number} options.inviteThreshold - INVITEs per source and window, 0 to disable
+   * @param {string} options.webhookUrl - URL on the local network alerts are posted to as JSON, if any
+   * @param {number} options.webhookTimeout - Webhook request timeout (ms)
+   * @param {number} options.webhookQueueSize - Alerts waiting for the webhook before new ones are dropped
+   * @throws {Error} If the webhook URL is invalid or not local
+   */
+  configure(options = {}) {
+    const window = options.window || 60000;
+    if (window !== this.window) this.sources.clear();
+    this.window = window;
+
+    this.thresholds = {
+      scanner: options.scannerThreshold ?? 10,
+      register_failures: options.registerFailureThreshold ?? 20,
+      invite_flood: options.inviteThreshold ?? 200
+    };
+    const scanners = options.scannerUserAgents && options.scannerUserAgents.length > 0 ? options.scannerUserAgents : SCANNER_USER_AGENTS;
+    this.scannerUserAgents = scanners.map(agent => String(agent).toLowerCase());
+
+    this.webhookUrl = options.webhookUrl || null;
+    if (this.webhookUrl) {
+      let url;
+      try {
+        url = new URL(this.webhookUrl);
+      } catch (error) {
+        throw new Error(`Invalid alert webhook URL '${this.webhookUrl}'`);
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`Alert webhook URL must be http or https: '${this.webhookUrl}'`);
+      }
+      if (!isLocalHost(url.hostname)) {
+        throw new Error(`Alert webhook URL must point to the local network: '${this.webhookUrl}'`);
+      }
+    }
+    this.webhookTimeout = options.webhookTimeout || 5000;
+    this.webhookQueueSize = options.webhookQueueSize || 100;
+  }
+
+  /**
+   * Process a SIP message
+   * @param {Object} message - Message summary from HepToLineProtocolConverter.summarizeSip()
+   * @param {Object} header - HEP protocol header
+   */
+  process(message, header) {
+    const time = this.clock.observe(header);
+
+    if (message.isRequest) {
+      if (this.isScanner(message.userAgent)) {
+        this.count('scanner', header.srcIp, time, message, header);
+      }
+      if (message.method === 'INVITE') {
+        this.count('invite_flood', header.srcIp, time, message, header);
+      }
+      if (message.method === 'REGISTER' && message.hasCredentials && this.thresholds.register_failures) {
+        this.rememberCredentials(message, time);
+      }
+      return;
+    }
+
+    // A challenge to a REGISTER without credentials is the normal start of a digest login;
+    // only a rejection of credentials counts. The registrar answers the client, so the
+    // client is the destination
+    if (message.cseqMethod === 'REGISTER' && REJECTED_CREDENTIALS.includes(message.statusCode)) {
+      const key = `${message.callId}|${message.cseq}`;
+      if (this.credentialed.delete(key)) {
+        this.count('register_failures', header.dstIp, time, message, header);
+      }
+    }
+  }
+
+  /**
+   * Remember a REGISTER sent with credentials, so a rejection of it can be told from
+   * the challenge every login starts with
+   * @param {Object} message - Message summary
+   * @param {number} time - Message time (ms)
+   */
+  rememberCredentials(message, time) {
+    const key = `${message.callId}|${message.cseq}`;
+    // Retransmissions keep their place
+    if (this.credentialed.has(key)) return;
+    if (this.credentialed.size >= this.maxSources) {
+      this.credentialed.delete(this.credentialed.keys().next().value);
+    }
+    this.credentialed.set(key, time);
+  }
+
+  /**
+   * Check whether a User-Agent belongs to a known scanner
+   * @param {string} userAgent - User-Agent header
+   * @returns {boolean} True for a scanner
+   */
+  isScanner(userAgent) {
+    if (!userAgent) return false;
+    const agent = userAgent.toLowerCase();
+    return this.scannerUserAgents.some(scanner => agent.includes(scanner));
+  }
+
+  /**
+   * Count a message for a source and raise an alert once it crosses the threshold
+   * @param {string} kind - Alert kind
+   * @param {string} sourceIp - Address the alert is about
+   * @param {number} time - Message time (ms)
+   * @param {Object} message - Message summary
+   * @param {Object} header - HEP protocol header
+   */
+  count(kind, sourceIp, time, message, header) {
+    const threshold = this.thresholds[kind];
+    if (!threshold || !sourceIp) return;
+
+    const key = `${kind}|${sourceIp}`;
+    let source = this.sources.get(key);
+    if (!source) {
+      if (this.sources.size >= this.maxSources) {
+        this.sources.delete(this.sources.keys().next().value);
+      }
+      source = { counter: new SlidingCounter(this.window), lastSeen: time, lastAlert: null };
+      this.sources.set(key, source);
+    }
+    source.lastSeen = Math.max(source.lastSeen, time);
+
+    const count = source.counter.add(time);
+    if (count < threshold) return;
+    // One alert per window; the next one reports a fresh count
+    if (source.lastAlert !== null && time - source.lastAlert < this.window) return;
+    source.lastAlert = time;
+
+    this.raise({
+      kind,
+      sourceIp,
+      count,
+      threshold,
+      time,
+      userAgent: message.userAgent,
+      captureId: header.captureId
+    });
+  }
+
+  /**
+   * Emit an alert record and post it to the webhook
+   * @param {Object} alert - Alert details
+   */
+  raise(alert) {
+    this.alerts[alert.kind]++;
+    this.stats.alertsRaised++;
+
+    try {
+      this.onRecord(this.createRecord(alert));
+    } catch (e) {
+      console.error('Error emitting alert record:', e);
+    }
+
+    if (this.webhookUrl) {
+      if (this.webhookQueue.length >= this.webhookQueueSize) {
+        this.stats.alertWebhooksDropped++;
+        return;
+      }
+      this.webhookQueue.push(alert);
+      this.postQueued();
+    }
+  }
+
+  /**
+   * Post queued alerts to the webhook one at a time, until the queue is empty
+   */
+  async postQueued() {
+    if (this.webhookPosting) return;
+    this.webhookPosting = true;
+    try {
+      while (this.webhookQueue.length > 0) {
+        const alert = this.webhookQueue.shift();
+        // The webhook may have been removed by a reload
+        if (!this.webhookUrl) {
+          this.stats.alertWebhooksDropped++;
+          continue;
+        }
+        await this.notify(alert);
+      }
+    } finally {
+      this.webhookPosting = false;
+    }
+  }
+
+  /**
+   * Build the alert record
+   * @param {Object} alert - Alert details
+   * @returns {Object} Record with measurement, tags, fields and timestamp
+   */
+  createRecord(alert) {
+    const tags = { alert: alert.kind, source_ip: alert.sourceIp };
+    if (alert.captureId) tags.capture_id = alert.captureId;
+
+    return {
+      measurement: this.measurement,
+      tags,
+      fields: {
+        count: alert.count,
+        threshold: alert.threshold,
+        window_ms: this.window,
+        user_agent: alert.userAgent
+      },
+      timestamp: BigInt(Math.round(alert.time * 1000)) * 1000n
+    };
+  }
+
+  /**
+   * Post an alert to the webhook; failures are counted and not retried
+   * @param {Object} alert - Alert details
+   */
+  async notify(alert) {
+    try {
+      await axios.post(this.webhookUrl, {
+        alert: alert.kind,
+        sourceIp: alert.sourceIp,
+        count: alert.count,
+        threshold: alert.threshold,
+        windowMs: this.window,
+        userAgent: alert.userAgent,
+        captureId: alert.captureId,
+        time: new Date(alert.time).toISOString()
+      }, { timeout: this.webhookTimeout });
+      this.stats.alertWebhooksSent++;
+    } catch (error) {
+      this.stats.alertWebhookErrors++;
+      console.error(`Alert webhook error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop sources that have been quiet for a whole window, and REGISTERs unanswered for as long
+   * @param {number} now - Current capture time (ms); defaults to the capture clock
+   */
+  expire(now = this.clock.now()) {
+    for (const [key, source] of this.sources) {
+      if (now - source.lastSeen >= this.window) this.sources.delete(key);
+    }
+    for (const [key, time] of this.credentialed) {
+      if (now - time >= this.window) this.credentialed.delete(key);
+    }
+  }
+
+  /**
+   * Get the number of alerts raised of each kind
+   * @returns {Object} Alert counts by kind
+   */
+  getAlerts() {
+    return { ...this.alerts };
+  }
+
+  /**
+   * Get detector statistics
+   * @returns {Object} Detector statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      alertSources: this.sources.size
+    };
+  }
+}
+
+// Function to create a new alert detector
+export function createHepAlertDetector(options) {
+  return new HepAlertDetector(options);
+}
+
+export default HepAlertDetector;
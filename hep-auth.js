@@ -0,0 +1,185 @@
+/**
+ * HEP Capture Authentication
+ *
+ * Checks every packet against the credentials configured for its capture agent:
+ * the capture password (HEP chunk 0x000e), the networks the agent may send from and
+ * the TLS client certificates it may send with. The source address is the transport
+ * peer, not the addresses inside the packet.
+ */
+
+import crypto from 'crypto';
+import { parseCidr, ipInNetworks } from './hep-rules.js';
+
+const REASONS = ['source_not_allowed', 'unknown_agent', 'bad_password', 'bad_certificate'];
+
+/**
+ * Compare two passwords in constant time
+ * @param {string} given - Password sent by the agent
+ * @param {string} expected - Configured password
+ * @returns {boolean} True if they are equal
+ */
+function passwordsMatch(given, expected) {
+  // Hashing first gives equal-length inputs, as timingSafeEqual requires
+  const a = crypto.createHash('sha256').update(String(given ?? '')).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Strip the IPv4-mapped prefix dual-stack sockets report for IPv4 peers
+ * @param {string} address - Peer address
+ * @returns {string} Plain IPv4 or IPv6 address
+ */
+function normalizeAddress(address) {
+  return typeof address === 'string' ? address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '') : address;
+}
+
+/**
+ * List the names a client certificate identifies its agent by
+ * @param {Object} certificate - Peer certificate, as returned by getPeerCertificate()
+ * @returns {Array<string>} Subject common name and DNS, email and URI alternative names
+ */
+export function certificateNames(certificate) {
+  if (!certificate) return [];
+
+  const names = [];
+  if (certificate.subject && certificate.subject.CN) {
+    names.push(...[].concat(certificate.subject.CN));
+  }
+  for (const entry of String(certificate.subjectaltname || '').split(',')) {
+    const match = entry.trim().match(/^(?:DNS|email|URI):(.+)$/);
+    if (match) names.push(match[1]);
+  }
+  return names;
+}
+
+class HepCaptureAuth {
+  /**
+   * @param {Object} options - Authentication options
+   * @param {Array<Object>} options.credentials - Per-agent entries: `{ captureId, password, allow, certificate }`;
+   *   captureId may be a list or '*' for any agent, allow is a list of CIDR blocks and
+   *   certificate the names of the TLS client certificates the agent must send with
+   * @param {string} options.password - Password for agents without an entry of their own
+   * @param {Array<string>} options.allow - CIDR blocks every packet must come from
+   */
+  constructor(options = {}) {
+    // Statistics
+    this.stats = {
+      authFailures: 0
+    };
+    this.failures = Object.fromEntries(REASONS.map(reason => [reason, 0]));
+
+    this.setCredentials(options);
+  }
+
+  /**
+   * Replace the credentials; nothing changes if any entry is invalid
+   * @param {Object} options - Same options as the constructor
+   */
+  setCredentials(options = {}) {
+    const credentials = options.credentials || [];
+    if (!Array.isArray(credentials)) {
+      throw new Error('Capture credentials must be an array');
+    }
+
+    const agents = new Map();
+    let wildcard = null;
+    let certificateBound = false;
+
+    credentials.forEach((credential, index) => {
+      if (!credential || credential.captureId === undefined) {
+        throw new Error(`Capture credential ${index}: captureId is required`);
+      }
+      const entry = {
+        password: credential.password !== undefined ? String(credential.password) : undefined,
+        allow: credential.allow ? [].concat(credential.allow).map(parseCidr) : null,
+        certificates: credential.certificate ? [].concat(credential.certificate).map(String) : null
+      };
+      if (entry.certificates) certificateBound = true;
+      for (const id of [].concat(credential.captureId)) {
+        if (String(id) === '*') wildcard = entry;
+        else agents.set(String(id), entry);
+      }
+    });
+
+    // A global password covers every agent without an entry of its own
+    if (!wildcard && options.password) {
+      wildcard = { password: String(options.password), allow: null };
+    }
+
+    this.agents = agents;
+    this.wildcard = wildcard;
+    // Once certificates are mapped, a certificate may only send for the agents mapped to it
+    this.certificateBound = certificateBound;
+    this.allow = options.allow && options.allow.length ? [].concat(options.allow).map(parseCidr) : null;
+  }
+
+  /**
+   * Whether any check is configured; without one every packet is accepted
+   * @returns {boolean} True if packets are checked
+   */
+  isEnabled() {
+    return this.agents.size > 0 || !!this.wildcard || !!this.allow;
+  }
+
+  /**
+   * Check a packet
+   * @param {Object} header - HEP protocol header
+   * @param {string} remoteAddress - Address the packet was received from
+   * @param {Array<string>} certificate - Names of the verified client certificate it was
+   *   received with, or null if none
+   * @returns {string|null} Failure reason, or null if the packet is accepted
+   */
+  authenticate(header, remoteAddress, certificate = null) {
+    if (!this.isEnabled()) return null;
+
+    const address = normalizeAddress(remoteAddress);
+    let reason = null;
+
+    if (this.allow && !ipInNetworks(address, this.allow)) {
+      reason = 'source_not_allowed';
+    } else if (this.agents.size > 0 || this.wildcard) {
+      const entry = this.agents.get(String(header.captureId)) || this.wildcard;
+      if (!entry) {
+        reason = 'unknown_agent';
+      } else if (entry.allow && !ipInNetworks(address, entry.allow)) {
+        reason = 'source_not_allowed';
+      } else if (entry.password !== undefined && !passwordsMatch(header.capturePass, entry.password)) {
+        reason = 'bad_password';
+      } else if (entry.certificates
+        ? !(certificate && certificate.some(name => entry.certificates.includes(name)))
+        : certificate && this.certificateBound) {
+        reason = 'bad_certificate';
+      }
+    }
+
+    if (reason) {
+      this.stats.authFailures++;
+      this.failures[reason]++;
+    }
+    return reason;
+  }
+
+  /**
+   * Get the number of failed checks per reason
+   * @returns {Object} Failure counts by reason
+   */
+  getFailures() {
+    return { ...this.failures };
+  }
+
+  /**
+   * Get authentication statistics
+   * @returns {Object} Authentication statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+// Function to create a new capture authenticator
+export function createHepCaptureAuth(options) {
+  return new HepCaptureAuth(options);
+}
+
+export default HepCaptureAuth;
@@ -0,0 +1,749 @@
+#!/usr/bin/env bun
+/**
+ * HEP Relay Command Line
+ *
+ * Runs the relay and works with HEP data offline:
+ *   serve    run the relay, configured by flags, environment variables and a config file
+ *   convert  convert a file of raw HEP frames to Line Protocol, NDJSON, columnar JSON or Parquet
+ *   decode   print the chunks of HEP packets
+ *   send     generate synthetic HEP traffic for load testing
+ *   replay   replay pcap/pcapng captures into the configured sinks
+ *   bench    measure conversion throughput
+ */
+
+import HepToInfluxDBServer from './hep-server.js';
+import HepToLineProtocolConverter from './hep-proto.js';
+import HepStreamFramer from './hep-framer.js';
+import HepParquetWriter from './hep-parquet.js';
+import HepPcapReplayer from './hep-replay.js';
+import HepWorkerPool from './hep-workers.js';
+import { CONFIG_SCHEMA, readDataFile } from './hep-config.js';
+import hepjs from 'hep-js';
+import { once } from 'events';
+import fs from 'fs';
+import os from 'os';
+
+// Every relay setting can be given as a flag, its kebab-case name; the relay checks the values
+const FLAG_TYPES = { integer: 'number', array: 'json', object: 'json' };
+const SERVER_OPTIONS = Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, FLAG_TYPES[spec.type] || spec.type]));
+
+const USAGE = `Usage: hep-cli.js <command> [options]
+
+Commands:
+  serve                 Run the relay
+  convert [file...]     Convert raw HEP frames (or stdin) to Line Protocol, NDJSON, columns or Parquet
+  decode [file...]      Print the chunks of HEP packets read from files (or stdin)
+  send                  Send synthetic SIP traffic as HEP for load testing
+  replay <file...>      Replay pcap/pcapng captures into the configured sinks
+  bench                 Measure packets/s through the converter and the worker pool
+  help [command]        Show help
+
+Run 'hep-cli.js help <command>' or 'hep-cli.js <command> --help' for the options of a command.`;
+
+// Names of the chunks defined by HEP3 (vendor 0) and how their values are printed
+const HEP_CHUNKS = {
+  1: ['ip_family', 'uint8'],
+  2: ['ip_protocol', 'uint8'],
+  3: ['src_ip', 'ipv4'],
+  4: ['dst_ip', 'ipv4'],
+  5: ['src_ip', 'ipv6'],
+  6: ['dst_ip', 'ipv6'],
+  7: ['src_port', 'uint16'],
+  8: ['dst_port', 'uint16'],
+  9: ['time_sec', 'uint32'],
+  10: ['time_usec', 'uint32'],
+  11: ['payload_type', 'uint8'],
+  12: ['capture_id', 'uint32'],
+  13: ['keep_alive', 'uint16'],
+  14: ['capture_pass', 'string'],
+  15: ['payload', 'payload'],
+  16: ['compressed_payload', 'hex'],
+  17: ['correlation_id', 'string'],
+  18: ['vlan_id', 'uint16'],
+  19: ['node_name', 'string'],
+  20: ['src_mac', 'mac'],
+  21: ['dst_mac', 'mac'],
+  22: ['ethernet_type', 'uint16'],
+  23: ['tcp_flags', 'uint8'],
+  24: ['ip_tos', 'uint8'],
+  32: ['mos', 'uint16'],
+  33: ['r_factor', 'uint16'],
+  34: ['geo_location', 'string'],
+  35: ['jitter', 'uint32'],
+  36: ['transaction_type', 'uint16'],
+  37: ['payload_json_keys', 'string'],
+  38: ['tags_values', 'string'],
+  39: ['tag_type', 'uint16']
+};
+
+/**
+ * Convert a camelCase option key to its flag name
+ * @param {string} key - Option key
+ * @returns {string} Flag name without dashes in front
+ */
+function toFlag(key) {
+  return key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+}
+
+/**
+ * Build a flag specification from option keys and types
+ * @param {Object} types - Types by option key: 'string', 'number', 'boolean', 'list' or 'json'
+ * @returns {Object} Options by flag name: `{ key, type }`
+ */
+function defineFlags(types) {
+  return Object.fromEntries(Object.entries(types).map(([key, type]) => [toFlag(key), { key, type }]));
+}
+
+/**
+ * Convert a flag value to its type
+ * @param {string} value - Value from the command line
+ * @param {string} type - Option type
+ * @param {string} flag - Flag name, for error messages
+ * @returns {*} Typed value
+ */
+function coerceValue(value, type, flag) {
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || !Number.isFinite(number)) throw new Error(`--${flag} expects a number, got '${value}'`);
+      return number;
+    }
+    case 'boolean':
+      if (!['true', 'false'].includes(value)) throw new Error(`--${flag} expects true or false, got '${value}'`);
+      return value === 'true';
+    case 'list':
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        throw new Error(`--${flag} expects JSON: ${error.message}`);
+      }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the command
+ * @param {Object} flags - Accepted flags, from defineFlags()
+ * @returns {Object} `{ options, positionals }`, options under their keys
+ */
+function parseArgs(args, flags) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      positionals.push(...args.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const separator = arg.indexOf('=');
+    let name = separator > 0 ? arg.slice(2, separator) : arg.slice(2);
+    let value = separator > 0 ? arg.slice(separator + 1) : undefined;
+
+    // --no-<flag> turns a boolean off
+    if (!flags[name] && name.startsWith('no-') && flags[name.slice(3)] && flags[name.slice(3)].type === 'boolean') {
+      name = name.slice(3);
+      value = 'false';
+    }
+
+    const flag = flags[name];
+    if (!flag) throw new Error(`Unknown option --${name}`);
+
+    if (flag.type === 'boolean' && value === undefined) {
+      value = 'true';
+    } else if (value === undefined) {
+      if (i + 1 >= args.length) throw new Error(`--${name} needs a value`);
+      value = args[++i];
+    }
+
+    options[flag.key] = coerceValue(value, flag.type, name);
+  }
+
+  return { options, positionals };
+}
+
+/**
+ * Describe the flags of a command
+ * @param {Object} flags - Flags from defineFlags()
+ * @returns {string} One flag per line
+ */
+function describeFlags(flags) {
+  return Object.entries(flags)
+    .map(([name, { type }]) => `  --${name}${type === 'boolean' ? '' : ` <${type}>`}`)
+    .join('\n');
+}
+
+/**
+ * Read HEP frames from files, or from stdin without files
+ * @param {Array<string>} files - Files of concatenated raw HEP frames; '-' is stdin
+ * @param {HepStreamFramer} framer - Framer splitting the data into packets
+ * @yields {Buffer} HEP packets
+ */
+async function* readFrames(files, framer) {
+  for (const file of files.length > 0 ? files : ['-']) {
+    const stream = file === '-' ? process.stdin : fs.createReadStream(file);
+    for await (const chunk of stream) {
+      yield* framer.push(chunk);
+    }
+    framer.end();
+  }
+}
+
+/**
+ * Write to a stream, waiting while it is full
+ * @param {Writable} stream - Output stream
+ * @param {string} text - Text to write
+ */
+async function writeOutput(stream, text) {
+  if (!stream.write(text)) {
+    await once(stream, 'drain');
+  }
+}
+
+const SERVE_FLAGS = defineFlags(SERVER_OPTIONS);
+
+/**
+ * Run the relay
+ * @param {Array<string>} args - Command arguments
+ */
+async function serve(args) {
+  const { options } = parseArgs(args, SERVE_FLAGS);
+  const server = new HepToInfluxDBServer(options);
+  await server.initialize();
+}
+
+const CONVERT_FLAGS = defineFlags({
+  format: 'string',
+  output: 'string',
+  database: 'string',
+  schema: 'string',
+  maxFrameSize: 'number',
+  debug: 'boolean'
+});
+
+/**
+ * Convert a file of raw HEP frames
+ * @param {Array<string>} args - Command arguments
+ */
+async function convert(args) {
+  const { options, positionals } = parseArgs(args, CONVERT_FLAGS);
+  // 'json' is the original name of the NDJSON output
+  const format = options.format === 'json' ? 'ndjson' : options.format || 'lp';
+  if (!['lp', 'ndjson', 'columnar', 'parquet'].includes(format)) {
+    throw new Error(`Unknown format '${format}', expected lp, ndjson (or json), columnar or parquet`);
+  }
+  if (format === 'parquet' && !options.output) {
+    throw new Error('Parquet output needs --output <dir>');
+  }
+
+  const converter = new HepToLineProtocolConverter();
+  converter.setDebug(!!options.debug);
+  if (options.schema) {
+    converter.setSchema(readDataFile(options.schema));
+  }
+  const stats = { packets: 0, converted: 0, errors: 0, framingErrors: 0 };
+  const framer = new HepStreamFramer({
+    maxFrameSize: options.maxFrameSize,
+    onError: () => stats.framingErrors++
+  });
+
+  let output = null;
+  let parquetWriter = null;
+  let batch = [];
+  if (format === 'parquet') {
+    parquetWriter = new HepParquetWriter({ outputDir: options.output, database: options.database, debug: options.debug });
+    await parquetWriter.open();
+  } else {
+    output = options.output ? fs.createWriteStream(options.output) : process.stdout;
+  }
+
+  // Parquet files and columnar output are written in batches of records
+  const writeBatch = async () => {
+    if (batch.length === 0) return;
+    if (parquetWriter) {
+      await parquetWriter.write(converter.serializeBatch(batch, 'lp'));
+    } else {
+      const columns = converter.serializeBatch(batch, 'columnar');
+      await writeOutput(output, JSON.stringify(columns, (key, value) => (typeof value === 'bigint' ? String(value) : value)) + '\n');
+    }
+    batch = [];
+  };
+
+  for await (const packet of readFrames(positionals, framer)) {
+    stats.packets++;
+    let record;
+    try {
+      record = converter.convertToRecord(packet);
+    } catch (error) {
+      stats.errors++;
+      if (options.debug) console.error(`Packet ${stats.packets}: ${error.message}`);
+      continue;
+    }
+    stats.converted++;
+
+    if (format === 'lp' || format === 'ndjson') {
+      await writeOutput(output, converter.serialize(record, format) + '\n');
+    } else {
+      batch.push(record);
+      if (batch.length >= 10000) await writeBatch();
+    }
+  }
+
+  await writeBatch();
+  if (parquetWriter) {
+    await parquetWriter.close();
+  } else if (output !== process.stdout) {
+    output.end();
+    await once(output, 'finish');
+  }
+
+  console.error('Conversion statistics:', stats);
+}
+
+const DECODE_FLAGS = defineFlags({
+  hex: 'string',
+  json: 'boolean',
+  maxFrameSize: 'number'
+});
+
+/**
+ * Split a HEP3 packet into its chunks
+ * @param {Buffer} packet - HEP3 packet
+ * @returns {Array<Object>} Chunks: `{ vendor, type, length, name, value }`
+ */
+function readChunks(packet) {
+  const chunks = [];
+  let offset = 6;
+
+  while (offset + 6 <= packet.length) {
+    const vendor = packet.readUInt16BE(offset);
+    const type = packet.readUInt16BE(offset + 2);
+    const length = packet.readUInt16BE(offset + 4);
+    if (length < 6 || offset + length > packet.length) {
+      chunks.push({ vendor, type, length, name: 'invalid', value: `chunk overruns the packet at offset ${offset}` });
+      break;
+    }
+
+    const data = packet.subarray(offset + 6, offset + length);
+    const [name, format] = vendor === 0 && HEP_CHUNKS[type] ? HEP_CHUNKS[type] : [`vendor_${vendor}_${type}`, 'auto'];
+    chunks.push({ vendor, type, length, name, value: formatChunkValue(data, format) });
+    offset += length;
+  }
+
+  return chunks;
+}
+
+/**
+ * Format a chunk value for printing
+ * @param {Buffer} data - Chunk data, without the chunk header
+ * @param {string} format - Value format
+ * @returns {string|number} Printable value
+ */
+function formatChunkValue(data, format) {
+  const sized = { uint8: 1, uint16: 2, uint32: 4 };
+  if (format === 'auto') {
+    format = Object.keys(sized).find(key => sized[key] === data.length) || 'hex';
+  }
+  if (sized[format] && data.length !== sized[format]) format = 'hex';
+
+  switch (format) {
+    case 'uint8':
+      return data.readUInt8(0);
+    case 'uint16':
+      return data.readUInt16BE(0);
+    case 'uint32':
+      return data.readUInt32BE(0);
+    case 'ipv4':
+      return data.length === 4 ? [...data].join('.') : data.toString('hex');
+    case 'ipv6':
+      return data.length === 16 ? data.toString('hex').match(/.{4}/g).join(':') : data.toString('hex');
+    case 'mac':
+      return [...data].map(byte => byte.toString(16).padStart(2, '0')).join(':');
+    case 'string':
+    case 'payload':
+      return data.toString('utf8');
+    default:
+      return data.toString('hex');
+  }
+}
+
+/**
+ * Print the chunks of HEP packets
+ * @param {Array<string>} args - Command arguments
+ */
+async function decode(args) {
+  const { options, positionals } = parseArgs(args, DECODE_FLAGS);
+  const framer = new HepStreamFramer({
+    maxFrameSize: options.maxFrameSize,
+    onError: (reason) => console.error(`Framing error: ${reason}`)
+  });
+
+  const packets = options.hex !== undefined
+    ? framer.push(Buffer.from(options.hex.replace(/\s+/g, ''), 'hex'))
+    : readFrames(positionals, framer);
+
+  let count = 0;
+  for await (const packet of packets) {
+    count++;
+    const chunks = readChunks(packet);
+
+    if (options.json) {
+      console.log(JSON.stringify({ packet: count, length: packet.length, chunks }));
+      continue;
+    }
+
+    console.log(`Packet ${count}: ${packet.length} bytes`);
+    for (const chunk of chunks) {
+      if (chunk.name === 'payload') continue;
+      const id = `0x${chunk.vendor.toString(16).padStart(4, '0')}/0x${chunk.type.toString(16).padStart(4, '0')}`;
+      console.log(`  ${id}  ${chunk.name.padEnd(20)} ${chunk.value}`);
+    }
+    for (const chunk of chunks.filter(chunk => chunk.name === 'payload')) {
+      console.log(`  payload (${chunk.length - 6} bytes):`);
+      console.log(String(chunk.value).replace(/\r?\n$/, '').split(/\r?\n/).map(line => `    ${line}`).join('\n'));
+    }
+  }
+
+  if (count === 0) console.error('No HEP packets found');
+}
+
+const SEND_FLAGS = defineFlags({
+  host: 'string',
+  port: 'number',
+  transport: 'string',
+  rate: 'number',
+  count: 'number',
+  duration: 'number',
+  captureId: 'number',
+  capturePass: 'string'
+});
+
+// Messages of the synthetic call flow, and whether each goes from caller to callee
+const CALL_FLOW = [
+  ['INVITE', true],
+  ['100 Trying', false],
+  ['180 Ringing', false],
+  ['200 OK', false],
+  ['ACK', true],
+  ['BYE', true],
+  ['200 OK', false]
+];
+
+/**
+ * Build one message of a synthetic call
+ * @param {number} call - Call number
+ * @param {number} step - Index into CALL_FLOW
+ * @returns {Object} `{ payload, forward }`
+ */
+function buildCallMessage(call, step) {
+  const [name, forward] = CALL_FLOW[step];
+  const method = /^\d/.test(name) ? (step < 4 ? 'INVITE' : 'BYE') : name;
+  const cseq = method === 'BYE' ? 2 : 1;
+  const caller = `+1555${String(call % 10000000).padStart(7, '0')}`;
+  const startLine = /^\d/.test(name) ? `SIP/2.0 ${name}` : `${method} sip:bob@192.0.2.20 SIP/2.0`;
+  const sdp = step === 0 || step === 3
+    ? `v=0\r\no=- ${call} 1 IN IP4 192.0.2.${forward ? 10 : 20}\r\ns=-\r\nc=IN IP4 192.0.2.${forward ? 10 : 20}\r\nt=0 0\r\nm=audio ${10000 + (call % 20000) * 2} RTP/AVP 0 8\r\na=rtpmap:0 PCMU/8000\r\n`
+    : '';
+
+  const payload = [
+    startLine,
+    `Via: SIP/2.0/UDP 192.0.2.10:5060;branch=z9hG4bK${call}x${cseq}`,
+    `From: <sip:${caller}@192.0.2.10>;tag=${call}a`,
+    `To: <sip:bob@192.0.2.20>${step > 1 ? `;tag=${call}b` : ''}`,
+    `Call-ID: ${call}-load@hep-cli`,
+    `CSeq: ${cseq} ${method}`,
+    'User-Agent: hep-cli',
+    ...(sdp ? ['Content-Type: application/sdp'] : []),
+    `Content-Length: ${Buffer.byteLength(sdp)}`,
+    '',
+    sdp
+  ].join('\r\n');
+
+  return { payload, forward };
+}
+
+/**
+ * Build the HEP packet for a message of the synthetic call flows
+ * @param {number} index - Message number; every CALL_FLOW.length messages make a call
+ * @param {Object} options - captureId and capturePass to set
+ * @returns {Buffer} HEP3 packet
+ */
+function buildCallPacket(index, options = {}) {
+  const call = Math.floor(index / CALL_FLOW.length);
+  const { payload, forward } = buildCallMessage(call, index % CALL_FLOW.length);
+  const now = Date.now();
+  return hepjs.encapsulate(payload, {
+    protocolFamily: 2,
+    protocol: 17,
+    srcIp: forward ? '192.0.2.10' : '192.0.2.20',
+    dstIp: forward ? '192.0.2.20' : '192.0.2.10',
+    srcPort: 5060,
+    dstPort: 5060,
+    timeSeconds: Math.floor(now / 1000),
+    timeUseconds: (now % 1000) * 1000,
+    payloadType: 1,
+    captureId: options.captureId ?? 2001,
+    ...(options.capturePass ? { capturePass: options.capturePass } : {})
+  });
+}
+
+/**
+ * Open a socket for sending HEP packets
+ * @param {string} transport - 'udp' or 'tcp'
+ * @param {string} host - Destination host
+ * @param {number} port - Destination port
+ * @returns {Promise<Object>} Sender with send(packet) and close()
+ */
+async function openSender(transport, host, port) {
+  if (transport === 'udp') {
+    const socket = await Bun.udpSocket({});
+    return {
+      send: async (packet) => socket.send(packet, port, host),
+      close: async () => socket.close()
+    };
+  }
+
+  // TCP writes can be partial; the rest waits for the socket to drain
+  let pending = Buffer.alloc(0);
+  let drained = null;
+  const socket = await Bun.connect({
+    hostname: host,
+    port,
+    socket: {
+      data: () => {},
+      drain: (socket) => {
+        const written = socket.write(pending);
+        pending = pending.subarray(Math.max(written, 0));
+        if (pending.length === 0 && drained) drained();
+      },
+      error: (socket, error) => console.error('TCP error:', error)
+    }
+  });
+
+  const waitForDrain = () => new Promise(resolve => {
+    drained = () => {
+      drained = null;
+      resolve();
+    };
+  });
+
+  return {
+    send: async (packet) => {
+      if (pending.length > 0) await waitForDrain();
+      const written = socket.write(packet);
+      if (written < packet.length) pending = packet.subarray(Math.max(written, 0));
+      return true;
+    },
+    close: async () => {
+      if (pending.length > 0) await waitForDrain();
+      socket.end();
+    }
+  };
+}
+
+/**
+ * Send synthetic SIP call flows as HEP
+ * @param {Array<string>} args - Command arguments
+ */
+async function send(args) {
+  const { options } = parseArgs(args, SEND_FLAGS);
+  const host = options.host || '127.0.0.1';
+  const port = options.port || 9060;
+  const transport = options.transport || 'udp';
+  const rate = options.rate ?? 1000;
+  const count = options.count || 0;
+  const duration = options.duration || 0;
+  if (!['udp', 'tcp'].includes(transport)) {
+    throw new Error(`Unknown transport '${transport}', expected udp or tcp`);
+  }
+  if (!count && !duration) {
+    throw new Error('send needs --count or --duration');
+  }
+
+  const sender = await openSender(transport, host, port);
+  const startTime = Date.now();
+  let stopping = false;
+  const stop = () => { stopping = true; };
+  process.once('SIGINT', stop);
+  let sent = 0;
+  let failed = 0;
+
+  while (!stopping && (!count || sent + failed < count) && (!duration || Date.now() - startTime < duration * 1000)) {
+    // Stay on schedule: send whatever is due, then wait a tick
+    const due = rate > 0 ? Math.floor((Date.now() - startTime) * rate / 1000) + 1 : sent + failed + 1000;
+    while (sent + failed < due && (!count || sent + failed < count)) {
+      const packet = buildCallPacket(sent + failed, options);
+      if (await sender.send(packet)) sent++;
+      else failed++;
+    }
+    await new Promise(resolve => (rate > 0 ? setTimeout(resolve, 10) : setImmediate(resolve)));
+  }
+
+  await sender.close();
+  process.removeListener('SIGINT', stop);
+
+  const seconds = (Date.now() - startTime) / 1000;
+  console.log(`Sent ${sent} packets to ${transport}://${host}:${port} in ${seconds.toFixed(2)}s ` +
+    `(${Math.round(sent / Math.max(seconds, 0.001))} packets/s)${failed ? `, ${failed} failed` : ''}`);
+}
+
+const REPLAY_FLAGS = {
+  ...SERVE_FLAGS,
+  ...defineFlags({ speed: 'number', realtime: 'boolean', captureId: 'number' })
+};
+
+/**
+ * Replay capture files into the configured sinks, without opening any listener
+ * @param {Array<string>} args - Command arguments
+ */
+async function replay(args) {
+  const { options, positionals } = parseArgs(args, REPLAY_FLAGS);
+  const { speed, realtime, captureId, ...config } = options;
+  if (positionals.length === 0) {
+    throw new Error('No capture files given');
+  }
+  if (speed !== undefined && speed < 0) {
+    throw new Error('--speed needs a factor of 0 or more');
+  }
+
+  const server = new HepToInfluxDBServer(config);
+  await server.openPipeline();
+  const housekeepingId = setInterval(() => server.conditionalFlush(), server.config.flushInterval);
+
+  const replayer = new HepPcapReplayer({
+    speed: realtime ? 1 : speed,
+    captureId: captureId ?? process.env.REPLAY_CAPTURE_ID,
+    debug: server.config.debug,
+    onPacket: (packet) => server.ingestPacket(packet)
+  });
+
+  try {
+    await replayer.replay(positionals);
+  } finally {
+    clearInterval(housekeepingId);
+    server.conditionalFlush();
+    await server.closePipeline();
+  }
+
+  const stats = server.getStats();
+  console.log('Replay statistics:', {
+    ...replayer.getStats(),
+    packetsConverted: stats.packetsConverted,
+    conversionErrors: stats.conversionErrors,
+    recordsSent: stats.recordsSent || 0
+  });
+}
+
+const BENCH_FLAGS = defineFlags({
+  packets: 'number',
+  workers: 'number',
+  batchSize: 'number',
+  unordered: 'boolean'
+});
+
+/**
+ * Measure conversion throughput of the synthetic call flows, through convertPacket()
+ * on the main thread and through the worker pool; both end with a Line Protocol line
+ * @param {Array<string>} args - Command arguments
+ */
+async function bench(args) {
+  const { options } = parseArgs(args, BENCH_FLAGS);
+  const count = options.packets || 100000;
+  const workers = options.workers ?? Math.max(1, os.availableParallelism() - 1);
+  const ordered = !options.unordered;
+
+  // The flows repeat, so a few thousand distinct packets are enough
+  const packets = Array.from({ length: Math.min(count, CALL_FLOW.length * 1000) }, (_, index) => buildCallPacket(index));
+  const report = (name, seconds, errors = 0) => console.log(
+    `${name.padEnd(36)} ${String(Math.round(count / seconds)).padStart(9)} packets/s  ` +
+    `${(seconds * 1e6 / count).toFixed(2).padStart(8)} us/packet${errors ? `  ${errors} errors` : ''}`);
+
+  console.log(`Converting ${count} SIP packets`);
+
+  const converter = new HepToLineProtocolConverter();
+  for (const packet of packets.slice(0, 1000)) converter.convertPacket(packet);
+  let start = performance.now();
+  for (let i = 0; i < count; i++) {
+    converter.convertPacket(packets[i % packets.length]);
+  }
+  report('convertPacket(), main thread', (performance.now() - start) / 1000);
+
+  if (workers === 0) return;
+
+  let errors = 0;
+  const pool = new HepWorkerPool({
+    workers,
+    batchSize: options.batchSize,
+    ordered,
+    settings: { sipHeaders: CONFIG_SCHEMA.sipHeaders.default, parseSdp: true, schema: {}, redaction: {} },
+    onResult: (result) => {
+      if (result.error) errors++;
+    }
+  });
+  await pool.open();
+
+  start = performance.now();
+  for (let i = 0; i < count; i++) {
+    if (pool.isFull()) await pool.waitForRoom();
+    pool.submit(packets[i % packets.length]);
+  }
+  await pool.drain();
+  report(`${workers} worker${workers > 1 ? 's' : ''}, batches of ${pool.batchSize}, ${ordered ? 'ordered' : 'unordered'}`,
+    (performance.now() - start) / 1000, errors);
+  await pool.close();
+}
+
+const COMMANDS = {
+  serve: { run: serve, flags: SERVE_FLAGS, usage: 'serve [options]' },
+  convert: { run: convert, flags: CONVERT_FLAGS, usage: 'convert [options] [file...]' },
+  decode: { run: decode, flags: DECODE_FLAGS, usage: 'decode [options] [file...]' },
+  send: { run: send, flags: SEND_FLAGS, usage: 'send [options]' },
+  replay: { run: replay, flags: REPLAY_FLAGS, usage: 'replay [options] <file...>' },
+  bench: { run: bench, flags: BENCH_FLAGS, usage: 'bench [options]' }
+};
+
+/**
+ * Run a command
+ * @param {Array<string>} argv - Arguments after the script name
+ */
+export async function main(argv) {
+  const [name, ...args] = argv;
+
+  const help = (command) => `Usage: hep-cli.js ${command.usage}\n\nOptions:\n${describeFlags(command.flags)}`;
+
+  if (!name || ['help', '--help', '-h'].includes(name)) {
+    const command = COMMANDS[args[0]];
+    console.log(command ? help(command) : USAGE);
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new Error(`Unknown command '${name}'`);
+  }
+
+  // `<command> --help` anywhere before a `--` shows the options of that command
+  const end = args.includes('--') ? args.indexOf('--') : args.length;
+  if (args.slice(0, end).some(arg => arg === '--help' || arg === '-h')) {
+    console.log(help(command));
+    return;
+  }
+  await command.run(args);
+}
+
+if (import.meta.main) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    console.error(`Run 'hep-cli.js help' for usage.`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,215 @@
+/**
+ * HEP Capture Clock
+ *
+ * Timestamps are carried as BigInt nanoseconds, so the microseconds HEP sends survive
+ * and SIP messages captured within the same millisecond keep their order.
+ *
+ * Capture agents stamp packets with their own clock. An agent without a synchronized
+ * clock, or one that sends no time at all, would put rows far in the past or future,
+ * outside the partitions anyone queries. The monitor compares every capture time with
+ * the time the packet arrived, keeps a moving average of that offset per agent, and
+ * applies a policy to timestamps that are missing or outside the allowed window:
+ *
+ *   accept   keep the capture time (missing ones get the receive time)
+ *   receive  use the receive time instead
+ *   clamp    move the capture time to the nearest edge of the window
+ *   reject   drop the packet
+ */
+
+export const TIMESTAMP_POLICIES = ['accept', 'receive', 'clamp', 'reject'];
+
+// Weight of a new sample in the per-agent average
+const SKEW_SMOOTHING = 0.1;
+const NS_PER_MS = 1000000n;
+
+/**
+ * Current time in nanoseconds, with microsecond resolution
+ * @returns {bigint} Nanoseconds since the epoch
+ */
+export function nowNs() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n;
+}
+
+/**
+ * Capture time of a packet in nanoseconds
+ * @param {Object} rcinfo - HEP protocol header
+ * @returns {bigint|null} Nanoseconds since the epoch, or null if the packet has no time
+ */
+export function hepTimestampNs(rcinfo) {
+  const seconds = parseInt(rcinfo.timeSeconds, 10);
+  if (!seconds) return null;
+  const useconds = parseInt(rcinfo.timeUseconds, 10) || 0;
+  return BigInt(seconds) * 1000000000n + BigInt(useconds) * 1000n;
+}
+
+/**
+ * Capture time of a packet in milliseconds, for state kept across packets
+ * @param {Object} rcinfo - HEP protocol header
+ * @returns {number} Milliseconds since the epoch, with the microseconds as a fraction;
+ *   the current time if the packet has no time
+ */
+export function hepTimeMs(rcinfo) {
+  if (!rcinfo.timeSeconds) return Date.now();
+  return rcinfo.timeSeconds * 1000 + (rcinfo.timeUseconds || 0) / 1000;
+}
+
+/**
+ * The capture clock of a tracker: follows the latest capture time seen, so state
+ * expires the same way for replayed traffic as for live traffic
+ */
+export class CaptureClock {
+  constructor() {
+    // Latest capture time seen, and the wall time it was seen at
+    this.latestTime = 0;
+    this.latestSeenAt = 0;
+  }
+
+  /**
+   * Read the capture time of a packet and move the clock forward to it
+   * @param {Object} rcinfo - HEP protocol header
+   * @returns {number} Capture time of the packet (ms)
+   */
+  observe(rcinfo) {
+    const time = hepTimeMs(rcinfo);
+    if (time > this.latestTime) {
+      this.latestTime = time;
+      this.latestSeenAt = Date.now();
+    }
+    return time;
+  }
+
+  /**
+   * Current capture time: the latest capture time seen plus the wall time since
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    return this.latestTime + (Date.now() - this.latestSeenAt);
+  }
+}
+
+class HepClockMonitor {
+  /**
+   * @param {Object} options - Monitor options, see configure()
+   */
+  constructor(options = {}) {
+    // Average offset of capture time from receive time in nanoseconds, by capture ID
+    this.skews = new Map();
+
+    // Statistics
+    this.stats = {
+      timestampsMissing: 0,
+      timestampsOutOfRange: 0,
+      timestampsAdjusted: 0,
+      timestampsRejected: 0
+    };
+
+    this.configure(options);
+  }
+
+  /**
+   * Set the policy and window; the skew averages are kept
+   * @param {Object} options - Monitor options
+   * @param {string} options.policy - 'accept', 'receive', 'clamp' or 'reject'
+   * @param {number} options.maxFutureSkew - Milliseconds a capture time may be ahead of the receive time
+   * @param {number} options.maxPastSkew - Milliseconds a capture time may be behind the receive time
+   * @param {number} options.maxAgents - Agents whose skew is tracked; the oldest is dropped beyond that
+   * @throws {Error} If the policy is unknown
+   */
+  configure(options = {}) {
+    const policy = options.policy || 'accept';
+    if (!TIMESTAMP_POLICIES.includes(policy)) {
+      throw new Error(`Unknown timestamp policy '${policy}', expected ${TIMESTAMP_POLICIES.join(', ')}`);
+    }
+    this.policy = policy;
+    this.maxFutureSkew = BigInt(options.maxFutureSkew ?? 60000) * NS_PER_MS;
+    this.maxPastSkew = BigInt(options.maxPastSkew ?? 3600000) * NS_PER_MS;
+    this.maxAgents = options.maxAgents || 1000;
+  }
+
+  /**
+   * Check the capture time of a packet and set the timestamp it is stored with
+   * @param {Object} hepData - Decoded packet; `timestamp` is set, and `received` is
+   *   used as the receive time when present
+   * @returns {boolean} False if the policy rejects the packet
+   */
+  check(hepData) {
+    const received = hepData.received || nowNs();
+    const captured = hepTimestampNs(hepData.protocol_header);
+
+    if (captured === null) {
+      this.stats.timestampsMissing++;
+      if (this.policy === 'reject') {
+        this.stats.timestampsRejected++;
+        return false;
+      }
+      hepData.timestamp = received;
+      return true;
+    }
+
+    const skew = captured - received;
+    this.recordSkew(hepData.protocol_header.captureId || 0, skew);
+    hepData.timestamp = captured;
+
+    const tooEarly = skew < -this.maxPastSkew;
+    if (!tooEarly && skew <= this.maxFutureSkew) return true;
+
+    this.stats.timestampsOutOfRange++;
+    switch (this.policy) {
+      case 'reject':
+        this.stats.timestampsRejected++;
+        return false;
+      case 'receive':
+        hepData.timestamp = received;
+        this.stats.timestampsAdjusted++;
+        return true;
+      case 'clamp':
+        hepData.timestamp = tooEarly ? received - this.maxPastSkew : received + this.maxFutureSkew;
+        this.stats.timestampsAdjusted++;
+        return true;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Fold a sample into the average skew of an agent
+   * @param {number} captureId - Capture ID of the agent
+   * @param {bigint} skew - Capture time minus receive time, in nanoseconds
+   */
+  recordSkew(captureId, skew) {
+    const sample = Number(skew);
+    const average = this.skews.get(captureId);
+    if (average === undefined) {
+      if (this.skews.size >= this.maxAgents) {
+        this.skews.delete(this.skews.keys().next().value);
+      }
+      this.skews.set(captureId, sample);
+    } else {
+      this.skews.set(captureId, average + (sample - average) * SKEW_SMOOTHING);
+    }
+  }
+
+  /**
+   * Get the average clock skew of every agent seen
+   * @returns {Array<Object>} `{ captureId, skew }`, skew in seconds, positive when the
+   *   agent's clock is ahead
+   */
+  getSkews() {
+    return [...this.skews].map(([captureId, skew]) => ({ captureId, skew: skew / 1e9 }));
+  }
+
+  /**
+   * Get clock statistics
+   * @returns {Object} Clock statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+// Function to create a new clock monitor
+export function createHepClockMonitor(options) {
+  return new HepClockMonitor(options);
+}
+
+export default HepClockMonitor;
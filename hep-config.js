@@ -0,0 +1,261 @@
+/**
+ * HEP Relay Configuration
+ *
+ * One schema for every relay setting: its type, environment variable and default.
+ * Settings are read from, in increasing priority, the defaults, a YAML or JSON
+ * config file, the environment and the options passed in code or on the command
+ * line. Every value is coerced to its type and checked; all problems are reported
+ * together instead of failing on the first.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Settings by key. `env` may list several variables, the first set one wins;
+ * `restart` marks settings a reload cannot change.
+ */
+export const CONFIG_SCHEMA = {
+  configFile: { type: 'string', env: 'CONFIG_FILE', default: null, restart: true },
+  hepPort: { type: 'integer', env: 'PORT', default: 9060, min: 0, max: 65535, restart: true },
+  hepBindAddress: { type: 'string', env: 'HOST', default: '0.0.0.0', restart: true },
+  tlsPort: { type: 'integer', env: 'TLS_PORT', default: 0, min: 0, max: 65535, restart: true },
+  tlsBindAddress: { type: 'string', env: 'TLS_HOST', default: null, restart: true },
+  tlsCert: { type: 'string', env: 'TLS_CERT', default: null, restart: true },
+  tlsKey: { type: 'string', env: 'TLS_KEY', default: null, restart: true },
+  tlsCa: { type: 'string', env: 'TLS_CA', default: null, restart: true },
+  tlsVerifyClient: { type: 'boolean', env: 'TLS_VERIFY_CLIENT', default: false, restart: true },
+  influxDbUrl: { type: 'string', env: 'INFLUX_DBURL', default: 'http://localhost:7971' },
+  // INFLUXB_DBNAME is the original, misspelt name
+  influxDbDatabase: { type: 'string', env: ['INFLUX_DBNAME', 'INFLUXB_DBNAME'], default: 'hep' },
+  batchSize: { type: 'integer', env: 'BATCH_SIZE', default: 1000, min: 1 },
+  flushInterval: { type: 'integer', env: 'FLUSH_INTERVAL', default: 5000, min: 1 },
+  maxBufferSize: { type: 'integer', env: 'MAX_BUFFER', default: 10000, min: 1 },
+  debug: { type: 'boolean', default: false },
+  writeToFile: { type: 'boolean', env: 'WRITE_TO_FILE', default: false },
+  outputDir: { type: 'string', env: 'OUTPUT_DIR', default: './data' },
+  fileFormat: { type: 'string', env: 'FILE_FORMAT', default: 'lp', values: ['lp', 'parquet'] },
+  parquetRowGroupSize: { type: 'integer', env: 'PARQUET_ROW_GROUP_SIZE', default: 100000, min: 1 },
+  parquetMaxRowsPerFile: { type: 'integer', env: 'PARQUET_MAX_ROWS', default: 500000, min: 1 },
+  parquetRotateInterval: { type: 'integer', env: 'PARQUET_ROTATE_INTERVAL', default: 300000, min: 1 },
+  maxFrameSize: { type: 'integer', env: 'MAX_FRAME_SIZE', default: 65535, min: 7 },
+  timestampPolicy: { type: 'string', env: 'TIMESTAMP_POLICY', default: 'accept', values: ['accept', 'receive', 'clamp', 'reject'] },
+  maxFutureSkew: { type: 'integer', env: 'MAX_FUTURE_SKEW', default: 60000, min: 0 },
+  maxPastSkew: { type: 'integer', env: 'MAX_PAST_SKEW', default: 3600000, min: 0 },
+  workers: { type: 'integer', env: 'WORKERS', default: 0, min: 0, restart: true },
+  workerBatchSize: { type: 'integer', env: 'WORKER_BATCH_SIZE', default: 64, min: 1, restart: true },
+  workerOrdered: { type: 'boolean', env: 'WORKER_ORDERED', default: true, restart: true },
+  workerMaxQueue: { type: 'integer', env: 'WORKER_MAX_QUEUE', default: 50000, min: 1, restart: true },
+  retryBaseDelay: { type: 'integer', env: 'RETRY_BASE_DELAY', default: 1000, min: 1 },
+  retryMaxDelay: { type: 'integer', env: 'RETRY_MAX_DELAY', default: 60000, min: 1 },
+  spillToDisk: { type: 'boolean', env: 'SPILL_TO_DISK', default: true },
+  queueDir: { type: 'string', env: 'QUEUE_DIR', default: null },
+  maxQueueDiskBytes: { type: 'integer', env: 'MAX_QUEUE_DISK_BYTES', default: 512 * 1024 * 1024, min: 0 },
+  dropPolicy: { type: 'string', env: 'DROP_POLICY', default: 'oldest', values: ['oldest', 'newest'] },
+  adminPort: { type: 'integer', env: 'ADMIN_PORT', default: 9080, min: 0, max: 65535, restart: true },
+  adminBindAddress: { type: 'string', env: 'ADMIN_HOST', default: '0.0.0.0', restart: true },
+  trackDialogs: { type: 'boolean', env: 'TRACK_DIALOGS', default: false, restart: true },
+  maxDialogs: { type: 'integer', env: 'MAX_DIALOGS', default: 100000, min: 1, restart: true },
+  dialogSetupTimeout: { type: 'integer', env: 'DIALOG_SETUP_TIMEOUT', default: 120000, min: 1, restart: true },
+  dialogCallTimeout: { type: 'integer', env: 'DIALOG_CALL_TIMEOUT', default: 14400000, min: 1, restart: true },
+  trackRegistrations: { type: 'boolean', env: 'TRACK_REGISTRATIONS', default: false, restart: true },
+  maxRegistrations: { type: 'integer', env: 'MAX_REGISTRATIONS', default: 100000, min: 1, restart: true },
+  registrationTimeout: { type: 'integer', env: 'REGISTRATION_TIMEOUT', default: 32000, min: 1, restart: true },
+  detectAlerts: { type: 'boolean', env: 'DETECT_ALERTS', default: false, restart: true },
+  alertWindow: { type: 'integer', env: 'ALERT_WINDOW', default: 60000, min: 1000 },
+  scannerThreshold: { type: 'integer', env: 'SCANNER_THRESHOLD', default: 10, min: 0 },
+  scannerUserAgents: { type: 'list', env: 'SCANNER_USER_AGENTS', default: [] },
+  registerFailureThreshold: { type: 'integer', env: 'REGISTER_FAILURE_THRESHOLD', default: 20, min: 0 },
+  inviteThreshold: { type: 'integer', env: 'INVITE_THRESHOLD', default: 200, min: 0 },
+  alertWebhookUrl: { type: 'string', env: 'ALERT_WEBHOOK_URL', default: null },
+  rules: { type: 'array', default: [] },
+  rulesFile: { type: 'string', env: 'RULES_FILE', default: null },
+  tenants: { type: 'array', env: 'TENANTS', default: [] },
+  tenantsFile: { type: 'string', env: 'TENANTS_FILE', default: null },
+  captureCredentials: { type: 'array', default: [] },
+  credentialsFile: { type: 'string', env: 'CREDENTIALS_FILE', default: null },
+  capturePass: { type: 'string', env: 'CAPTURE_PASS', default: null },
+  captureAllow: { type: 'list', env: 'CAPTURE_ALLOW', default: [] },
+  authFailureAction: { type: 'string', env: 'AUTH_FAILURE_ACTION', default: 'reject', values: ['reject', 'quarantine'] },
+  quarantineDatabase: { type: 'string', env: 'QUARANTINE_DBNAME', default: 'quarantine' },
+  storeCapturePass: { type: 'boolean', env: 'STORE_CAPTURE_PASS', default: false },
+  redactNumbers: { type: 'string', env: 'REDACT_NUMBERS', default: 'none', values: ['none', 'hash', 'truncate'] },
+  redactKeepDigits: { type: 'integer', env: 'REDACT_KEEP_DIGITS', default: 6, min: 0 },
+  redactHashKey: { type: 'string', env: 'REDACT_HASH_KEY', default: '' },
+  redactHeaders: { type: 'list', env: 'REDACT_HEADERS', default: [] },
+  redactSdp: { type: 'boolean', env: 'REDACT_SDP', default: false },
+  dropPayloadTypes: { type: 'list', items: 'integer', env: 'DROP_PAYLOAD_TYPES', default: [] },
+  sinks: { type: 'array', env: 'SINKS', default: null },
+  forwardTargets: { type: 'list', items: 'any', env: 'HEP_FORWARD', default: [] },
+  forwardQueueSize: { type: 'integer', env: 'FORWARD_QUEUE_SIZE', default: 10000, min: 1 },
+  sipHeaders: { type: 'list', env: 'SIP_HEADERS', default: ['Call-ID', 'From', 'To', 'CSeq', 'User-Agent'] },
+  includeParsedValues: { type: 'boolean', env: 'INCLUDE_PARSED_VALUES', default: false },
+  parseSdp: { type: 'boolean', env: 'PARSE_SDP', default: true },
+  schema: { type: 'object', env: 'SCHEMA', default: {} }
+};
+
+/**
+ * Read a YAML or JSON file, chosen by its extension
+ * @param {string} filePath - File to read
+ * @returns {*} Parsed content
+ */
+export function readDataFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  try {
+    return extension === '.yaml' || extension === '.yml' ? Bun.YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Coerce a value to the type of a setting
+ * @param {*} value - Value from a file, the environment or code
+ * @param {Object} spec - Setting from CONFIG_SCHEMA
+ * @returns {*} Typed value
+ * @throws {Error} With a description of what was expected
+ */
+function coerceSetting(value, spec) {
+  if (value === null && spec.default === null) return null;
+
+  switch (spec.type) {
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (!Number.isInteger(number)) throw new Error('expected an integer');
+      if (spec.min !== undefined && number < spec.min) throw new Error(`must be at least ${spec.min}`);
+      if (spec.max !== undefined && number > spec.max) throw new Error(`must be at most ${spec.max}`);
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (/^(true|1|yes|on)$/i.test(String(value))) return true;
+      if (/^(false|0|no|off)$/i.test(String(value))) return false;
+      throw new Error('expected true or false');
+    case 'list': {
+      const list = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+      if (!Array.isArray(list)) throw new Error('expected a list');
+      if (spec.items === 'integer') return list.map(item => coerceSetting(item, { type: 'integer' }));
+      if (spec.items !== 'any' && list.some(item => typeof item !== 'string')) throw new Error('expected a list of strings');
+      return list;
+    }
+    case 'array': {
+      let array = value;
+      if (typeof value === 'string') {
+        try {
+          array = JSON.parse(value);
+        } catch (error) {
+          throw new Error(`expected a JSON array: ${error.message}`);
+        }
+      }
+      if (!Array.isArray(array)) throw new Error('expected an array');
+      return array;
+    }
+    case 'object': {
+      let object = value;
+      if (typeof value === 'string') {
+        try {
+          object = JSON.parse(value);
+        } catch (error) {
+          throw new Error(`expected a JSON object: ${error.message}`);
+        }
+      }
+      if (!object || typeof object !== 'object' || Array.isArray(object)) throw new Error('expected an object');
+      return object;
+    }
+    default: {
+      if (typeof value === 'number') value = String(value);
+      if (typeof value !== 'string') throw new Error('expected a string');
+      if (spec.values && !spec.values.includes(value)) throw new Error(`expected one of ${spec.values.join(', ')}`);
+      return value;
+    }
+  }
+}
+
+/**
+ * Find the environment variable that sets a setting
+ * @param {Object} spec - Setting from CONFIG_SCHEMA
+ * @param {Object} env - Environment
+ * @returns {string|undefined} Name of the first variable that is set
+ */
+function findEnvVariable(spec, env) {
+  return [].concat(spec.env || []).find(name => env[name] !== undefined && env[name] !== '');
+}
+
+/**
+ * Resolve the relay configuration
+ * @param {Object} options - Options given in code or on the command line; these win
+ * @param {Object} env - Environment, defaults to process.env
+ * @returns {Object} Complete, typed configuration
+ * @throws {Error} Listing every invalid or unknown setting
+ */
+export function resolveConfig(options = {}, env = process.env) {
+  const errors = [];
+  const configFile = options.configFile || env.CONFIG_FILE || null;
+
+  let fileValues = {};
+  if (configFile) {
+    fileValues = readDataFile(configFile);
+    if (!fileValues || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+      throw new Error(`${configFile}: the configuration must be a mapping of settings`);
+    }
+  }
+
+  for (const [source, values] of [[configFile, fileValues], ['options', options]]) {
+    for (const key of Object.keys(values)) {
+      if (!CONFIG_SCHEMA[key]) errors.push(`${key}: unknown setting (in ${source})`);
+    }
+  }
+
+  const config = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const variable = findEnvVariable(spec, env);
+    let value = spec.default;
+    let source = 'default';
+
+    if (options[key] !== undefined) {
+      value = options[key];
+      source = 'options';
+    } else if (variable) {
+      value = env[variable];
+      source = variable;
+    } else if (fileValues[key] !== undefined) {
+      value = fileValues[key];
+      source = configFile;
+    }
+
+    try {
+      config[key] = coerceSetting(value, spec);
+    } catch (error) {
+      errors.push(`${key}: ${error.message}, got ${JSON.stringify(value)} (from ${source})`);
+    }
+  }
+
+  // Settings that only make sense together
+  if (config.tlsPort > 0 && !(config.tlsCert && config.tlsKey)) {
+    errors.push('tlsPort: the TLS listener needs tlsCert and tlsKey');
+  }
+  if (config.tlsVerifyClient && !config.tlsCa) {
+    errors.push('tlsVerifyClient: verifying client certificates needs tlsCa');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+  }
+
+  config.configFile = configFile;
+  return config;
+}
+
+/**
+ * List the settings that differ between two configurations
+ * @param {Object} previous - Configuration in use
+ * @param {Object} next - New configuration
+ * @returns {Array<string>} Keys of the changed settings
+ */
+export function diffConfig(previous, next) {
+  return Object.keys(CONFIG_SCHEMA).filter(key => JSON.stringify(previous[key]) !== JSON.stringify(next[key]));
+}
+
+export default resolveConfig;
@@ -0,0 +1,308 @@
+/**
+ * HEP Payload Decoders
+ *
+ * Built-in decoders for HEP payload types that carry reports rather than SIP.
+ * A decoder is a function `(payload, context) => ({ tags, fields, types })` where
+ * context holds the HEP `header`, the payload `type` and the raw `packet` buffer.
+ * `types` optionally marks fields as 'float', 'integer', 'string' or 'boolean'.
+ */
+
+import { decodeRtcpReport } from './hep-rtcp.js';
+
+const DNS_TYPES = {
+  1: 'A', 2: 'NS', 5: 'CNAME', 6: 'SOA', 12: 'PTR', 15: 'MX', 16: 'TXT',
+  28: 'AAAA', 33: 'SRV', 35: 'NAPTR', 41: 'OPT', 255: 'ANY'
+};
+
+const DNS_RCODES = {
+  0: 'NOERROR', 1: 'FORMERR', 2: 'SERVFAIL', 3: 'NXDOMAIN', 4: 'NOTIMP', 5: 'REFUSED'
+};
+
+const LOG_LEVEL_PATTERN = /\b(EMERG|ALERT|CRIT(?:ICAL)?|ERR(?:OR)?|WARN(?:ING)?|NOTICE|INFO|DEBUG)\b/i;
+
+/**
+ * Normalize a JSON key into a column name
+ * @param {string} key - Original key
+ * @returns {string} Lowercase key with non-alphanumerics replaced by underscores
+ */
+function normalizeKey(key) {
+  return String(key).replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '').toLowerCase();
+}
+
+/**
+ * Find the raw payload chunk (type 0x000f) in a HEP3 packet.
+ * hep-js decodes the payload as a UTF-8 string, which corrupts binary payloads.
+ * @param {Buffer} packet - Raw HEP3 packet
+ * @returns {Buffer|null} Payload bytes, or null if not found
+ */
+export function getPayloadChunk(packet) {
+  if (!Buffer.isBuffer(packet) || packet.length < 6) return null;
+
+  const total = Math.min(packet.readUInt16BE(4), packet.length);
+  let offset = 6;
+
+  while (offset + 6 <= total) {
+    const chunkType = packet.readUInt16BE(offset + 2);
+    const chunkLength = packet.readUInt16BE(offset + 4);
+    if (chunkLength < 6) return null;
+    if (chunkType === 0x000f) return packet.subarray(offset + 6, offset + chunkLength);
+    offset += chunkLength;
+  }
+
+  return null;
+}
+
+/**
+ * Flatten a JSON report into typed fields and tags
+ * @param {Object} report - Parsed JSON report
+ * @param {Object} options - Flattening options
+ * @param {string} options.prefix - Prefix for every column name
+ * @param {Array<string>} options.tagKeys - Normalized keys stored as tags
+ * @param {Array<string>} options.integerKeys - Normalized keys stored as integers; other numbers are floats
+ * @returns {Object} Decoded tags, fields and field types
+ */
+export function flattenJsonReport(report, options = {}) {
+  const prefix = options.prefix || '';
+  const tagKeys = new Set(options.tagKeys || []);
+  const integerKeys = new Set(options.integerKeys || []);
+  const result = { tags: {}, fields: {}, types: {} };
+
+  const visit = (value, path) => {
+    if (value === null || value === undefined) return;
+
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      for (const [key, child] of Object.entries(value)) {
+        visit(child, path ? `${path}_${normalizeKey(key)}` : normalizeKey(key));
+      }
+      return;
+    }
+
+    const column = `${prefix}${path}`;
+
+    if (tagKeys.has(path)) {
+      result.tags[column] = String(value);
+    } else if (Array.isArray(value)) {
+      result.fields[column] = JSON.stringify(value);
+      result.types[column] = 'string';
+    } else if (typeof value === 'number') {
+      // Report numbers are floats unless declared otherwise, so a value that
+      // happens to be whole in one report does not change the column type
+      result.fields[column] = value;
+      result.types[column] = integerKeys.has(path) ? 'integer' : 'float';
+    } else if (typeof value === 'boolean') {
+      result.fields[column] = value;
+      result.types[column] = 'boolean';
+    } else {
+      result.fields[column] = String(value);
+      result.types[column] = 'string';
+    }
+  };
+
+  visit(report, '');
+  return result;
+}
+
+/**
+ * Create a decoder for JSON report payloads
+ * @param {Object} options - Options passed to flattenJsonReport
+ * @returns {Function} Decoder
+ */
+export function createJsonReportDecoder(options = {}) {
+  return (payload, context = {}) => {
+    let report;
+    try {
+      report = JSON.parse(payload);
+    } catch (e) {
+      return null;
+    }
+    if (!report || typeof report !== 'object') return null;
+
+    const decoded = flattenJsonReport(report, options);
+    const header = context.header || {};
+    if (header.correlation_id && decoded.fields.correlation_id === undefined) {
+      decoded.fields.correlation_id = header.correlation_id;
+    }
+    return decoded;
+  };
+}
+
+/**
+ * RTCP reports (type 5)
+ * @param {string} payload - JSON RTCP report
+ * @param {Object} context - Decoder context
+ * @returns {Object} Decoded fields
+ */
+export function decodeRtcp(payload, context = {}) {
+  return { fields: decodeRtcpReport(payload, context.header) };
+}
+
+/**
+ * RTP agent statistics (type 34)
+ */
+export const decodeRtpAgentReport = createJsonReportDecoder({
+  prefix: 'rtp_',
+  tagKeys: ['type', 'codec_name', 'dir', 'party'],
+  integerKeys: [
+    'src_port', 'dst_port', 'codec_pt', 'clock', 'total_pk', 'expected_pk', 'packet_loss',
+    'seq', 'out_order', 'ssrc', 'ssrc_chg', 'tl_byte', 'report_ts'
+  ]
+});
+
+/**
+ * QoS / RTCP-XR JSON reports (type 35)
+ */
+export const decodeQosReport = createJsonReportDecoder({
+  prefix: 'qos_',
+  tagKeys: ['type', 'codec_name', 'dir'],
+  integerKeys: [
+    'src_port', 'dst_port', 'codec_pt', 'clock', 'packets_lost', 'packets_discarded',
+    'ssrc', 'total_pk', 'expected_pk'
+  ]
+});
+
+/**
+ * Log lines (type 100), either plain text or JSON. The text of a plain line is
+ * already stored as the payload, so only its level is extracted.
+ * @param {string} payload - Log payload
+ * @param {Object} context - Decoder context
+ * @returns {Object} Decoded tags and fields
+ */
+export function decodeLog(payload, context = {}) {
+  const json = createJsonReportDecoder({ prefix: 'log_', tagKeys: ['level', 'severity'] })(payload, context);
+  if (json) return json;
+
+  const decoded = { tags: {}, fields: {} };
+  const level = String(payload).match(LOG_LEVEL_PATTERN);
+  if (level) decoded.tags.log_level = level[1].toUpperCase();
+
+  const header = context.header || {};
+  if (header.correlation_id) decoded.fields.correlation_id = header.correlation_id;
+
+  return decoded;
+}
+
+/**
+ * Read a possibly compressed domain name from a DNS message
+ * @param {Buffer} message - DNS message
+ * @param {number} offset - Offset of the name
+ * @returns {Object} The name and the offset just past it in the original position
+ */
+function readDnsName(message, offset) {
+  const labels = [];
+  let end = -1;
+  let jumps = 0;
+
+  while (offset < message.length) {
+    const length = message[offset];
+    if (length === 0) {
+      offset++;
+      break;
+    }
+    if ((length & 0xc0) === 0xc0) {
+      // Compression pointer; guard against loops
+      if (++jumps > 16 || offset + 1 >= message.length) throw new Error('Invalid DNS name');
+      if (end === -1) end = offset + 2;
+      offset = ((length & 0x3f) << 8) | message[offset + 1];
+      continue;
+    }
+    labels.push(message.toString('ascii', offset + 1, offset + 1 + length));
+    offset += length + 1;
+  }
+
+  return { name: labels.join('.'), offset: end === -1 ? offset : end };
+}
+
+/**
+ * Decode a binary DNS message
+ * @param {Buffer} message - DNS message
+ * @returns {Object} Decoded tags and fields
+ */
+function decodeDnsMessage(message) {
+  if (message.length < 12) throw new Error('DNS message too short');
+
+  const flags = message.readUInt16BE(2);
+  const rcode = flags & 0x0f;
+  const questions = message.readUInt16BE(4);
+  const answers = message.readUInt16BE(6);
+
+  const decoded = {
+    tags: {
+      dns_qr: flags & 0x8000 ? 'response' : 'query',
+      dns_rcode: DNS_RCODES[rcode] || String(rcode)
+    },
+    fields: {
+      dns_id: message.readUInt16BE(0),
+      dns_opcode: (flags >> 11) & 0x0f,
+      dns_rcode_code: rcode,
+      dns_questions: questions,
+      dns_answers: answers,
+      dns_authority: message.readUInt16BE(8),
+      dns_additional: message.readUInt16BE(10)
+    }
+  };
+
+  let offset = 12;
+  if (questions > 0) {
+    const question = readDnsName(message, offset);
+    offset = question.offset;
+    const qtype = message.readUInt16BE(offset);
+    decoded.fields.dns_qname = question.name;
+    decoded.fields.dns_qtype_code = qtype;
+    decoded.tags.dns_qtype = DNS_TYPES[qtype] || String(qtype);
+    offset += 4;
+
+    // Skip any further questions
+    for (let i = 1; i < questions; i++) offset = readDnsName(message, offset).offset + 4;
+  }
+
+  if (answers > 0 && offset < message.length) {
+    const answer = readDnsName(message, offset);
+    offset = answer.offset;
+    const atype = message.readUInt16BE(offset);
+    const ttl = message.readUInt32BE(offset + 4);
+    const length = message.readUInt16BE(offset + 8);
+    const data = message.subarray(offset + 10, offset + 10 + length);
+
+    decoded.fields.dns_ttl = ttl;
+    if (atype === 1 && length === 4) {
+      decoded.fields.dns_answer = Array.from(data).join('.');
+    } else if (atype === 28 && length === 16) {
+      decoded.fields.dns_answer = data.toString('hex').match(/.{4}/g).join(':');
+    }
+  }
+
+  return decoded;
+}
+
+/**
+ * DNS messages (type 53), as raw DNS or as a JSON report
+ * @param {string} payload - Payload as decoded by hep-js
+ * @param {Object} context - Decoder context
+ * @returns {Object|null} Decoded tags and fields
+ */
+export function decodeDns(payload, context = {}) {
+  const json = createJsonReportDecoder({ prefix: 'dns_' })(payload, context);
+  if (json) return json;
+
+  const message = getPayloadChunk(context.packet);
+  if (!message) return null;
+
+  try {
+    return decodeDnsMessage(message);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Decoders registered on every new converter, keyed by HEP payload type
+ */
+export const defaultDecoders = {
+  5: decodeRtcp,
+  34: decodeRtpAgentReport,
+  35: decodeQosReport,
+  53: decodeDns,
+  100: decodeLog
+};
+
+export default defaultDecoders;
@@ -0,0 +1,229 @@
+/**
+ * HEP SIP Dialog Tracker
+ *
+ * Follows INVITE dialogs across SIP messages (INVITE, 18x, 200, ACK, BYE, CANCEL and
+ * failures) and produces one `sip_calls` record per call once it ends, fails or expires.
+ * Memory is bounded: the oldest dialogs are evicted when the limit is reached.
+ */
+
+import { CaptureClock } from './hep-clock.js';
+
+class HepDialogTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {Function} options.onRecord - Called with every finished call record
+   * @param {number} options.maxDialogs - Dialogs tracked at once before evicting the oldest
+   * @param {number} options.setupTimeout - Time an unanswered call may wait for a final response (ms)
+   * @param {number} options.callTimeout - Time an answered call may go without a BYE (ms)
+   * @param {string} options.measurement - Measurement name of the records
+   */
+  constructor(options = {}) {
+    this.onRecord = options.onRecord || (() => {});
+    this.maxDialogs = options.maxDialogs || 100000;
+    this.setupTimeout = options.setupTimeout || 120000;
+    this.callTimeout = options.callTimeout || 4 * 60 * 60 * 1000;
+    this.measurement = options.measurement || 'sip_calls';
+
+    // Dialogs by Call-ID, in creation order (Map keeps insertion order)
+    this.dialogs = new Map();
+    this.clock = new CaptureClock();
+
+    // Statistics
+    this.stats = {
+      dialogsTracked: 0,
+      dialogsCompleted: 0,
+      dialogsExpired: 0,
+      dialogsEvicted: 0
+    };
+  }
+
+  /**
+   * Process a SIP message
+   * @param {Object} message - Message summary from HepToLineProtocolConverter.summarizeSip()
+   * @param {Object} header - HEP protocol header
+   */
+  process(message, header) {
+    if (!message.callId) return;
+
+    const time = this.clock.observe(header);
+
+    const dialog = this.dialogs.get(message.callId);
+
+    if (message.isRequest) {
+      if (message.method === 'INVITE' && !message.toTag) {
+        // Retransmissions of the initial INVITE reuse the existing dialog
+        if (!dialog) this.createDialog(message, header, time);
+        return;
+      }
+      if (!dialog) return;
+
+      dialog.lastSeen = time;
+      switch (message.method) {
+        case 'ACK':
+          if (dialog.answerTime && !dialog.ackTime) dialog.ackTime = time;
+          break;
+        case 'CANCEL':
+          dialog.cancelled = true;
+          break;
+        case 'BYE':
+          if (!dialog.endTime) {
+            dialog.endTime = time;
+            dialog.terminatedBy = message.fromTag === dialog.fromTag ? 'caller' : 'callee';
+            this.finish(dialog, `bye_${dialog.terminatedBy}`);
+          }
+          break;
+      }
+      return;
+    }
+
+    // Responses only matter for the INVITE transaction
+    if (!dialog || message.cseqMethod !== 'INVITE' || dialog.finalTime) {
+      if (dialog) dialog.lastSeen = time;
+      return;
+    }
+
+    const status = message.statusCode;
+    dialog.lastSeen = time;
+
+    if (status > 100 && status < 200) {
+      if (!dialog.ringTime) dialog.ringTime = time;
+    } else if (status >= 200 && status < 300) {
+      dialog.finalTime = time;
+      dialog.answerTime = time;
+      dialog.finalStatus = status;
+      dialog.toTag = message.toTag;
+    } else if (status >= 300) {
+      dialog.finalTime = time;
+      dialog.finalStatus = status;
+      dialog.endTime = time;
+      this.finish(dialog, dialog.cancelled ? 'cancel' : 'failure');
+    }
+  }
+
+  /**
+   * Start tracking a new INVITE dialog, evicting the oldest one if full
+   * @param {Object} message - INVITE summary
+   * @param {Object} header - HEP protocol header
+   * @param {number} time - Message time (ms)
+   */
+  createDialog(message, header, time) {
+    if (this.dialogs.size >= this.maxDialogs) {
+      const oldest = this.dialogs.values().next().value;
+      this.stats.dialogsEvicted++;
+      this.finish(oldest, 'evicted');
+    }
+
+    this.dialogs.set(message.callId, {
+      callId: message.callId,
+      fromTag: message.fromTag,
+      toTag: undefined,
+      fromUser: message.fromUser,
+      toUser: message.toUser,
+      userAgent: message.userAgent,
+      srcIp: header.srcIp,
+      dstIp: header.dstIp,
+      captureId: header.captureId,
+      inviteTime: time,
+      lastSeen: time,
+      cancelled: false
+    });
+    this.stats.dialogsTracked++;
+  }
+
+  /**
+   * Finish dialogs that went quiet for too long. Time is measured on the capture
+   * clock, so replayed traffic expires the same way live traffic does.
+   * @param {number} now - Current capture time (ms); defaults to the capture clock
+   */
+  expire(now = this.clock.now()) {
+    for (const dialog of [...this.dialogs.values()]) {
+      const timeout = dialog.answerTime ? this.callTimeout : this.setupTimeout;
+      if (now - dialog.lastSeen >= timeout) {
+        this.stats.dialogsExpired++;
+        this.finish(dialog, 'timeout');
+      }
+    }
+  }
+
+  /**
+   * Stop tracking a dialog and emit its record
+   * @param {Object} dialog - Dialog state
+   * @param {string} cause - Termination cause
+   */
+  finish(dialog, cause) {
+    this.dialogs.delete(dialog.callId);
+    this.stats.dialogsCompleted++;
+
+    try {
+      this.onRecord(this.createRecord(dialog, cause));
+    } catch (e) {
+      console.error('Error emitting call record:', e);
+    }
+  }
+
+  /**
+   * Build the call summary record
+   * @param {Object} dialog - Dialog state
+   * @param {string} cause - Termination cause
+   * @returns {Object} Record with measurement, tags, fields and timestamp
+   */
+  createRecord(dialog, cause) {
+    const tags = {
+      call_state: dialog.answerTime ? 'answered' : (dialog.cancelled ? 'cancelled' : 'failed'),
+      termination_cause: cause
+    };
+    if (dialog.captureId) tags.capture_id = dialog.captureId;
+
+    const fields = {
+      call_id: dialog.callId,
+      from_user: dialog.fromUser,
+      to_user: dialog.toUser,
+      from_tag: dialog.fromTag,
+      to_tag: dialog.toTag,
+      user_agent: dialog.userAgent,
+      src_ip: dialog.srcIp,
+      dst_ip: dialog.dstIp,
+      answered: !!dialog.answerTime,
+      final_status: dialog.finalStatus,
+      terminated_by: dialog.terminatedBy,
+      invite_time: Math.round(dialog.inviteTime)
+    };
+
+    // Post-dial delay runs to the first ringback, or to the final response without one
+    const pddEnd = dialog.ringTime || dialog.finalTime;
+    if (pddEnd) fields.pdd_ms = Math.round(pddEnd - dialog.inviteTime);
+    if (dialog.finalTime) fields.setup_time_ms = Math.round(dialog.finalTime - dialog.inviteTime);
+    if (dialog.answerTime) {
+      fields.answer_time = Math.round(dialog.answerTime);
+      const end = dialog.endTime || dialog.lastSeen;
+      fields.duration_ms = Math.round(end - dialog.answerTime);
+    }
+    if (dialog.ackTime) fields.ack_delay_ms = Math.round(dialog.ackTime - dialog.answerTime);
+    if (dialog.endTime) fields.end_time = Math.round(dialog.endTime);
+
+    return {
+      measurement: this.measurement,
+      tags,
+      fields,
+      timestamp: BigInt(Math.round(dialog.inviteTime * 1000)) * 1000n
+    };
+  }
+
+  /**
+   * Get tracker statistics
+   * @returns {Object} Tracker statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      dialogsActive: this.dialogs.size
+    };
+  }
+}
+
+// Function to create a new dialog tracker
+export function createHepDialogTracker(options) {
+  return new HepDialogTracker(options);
+}
+
+export default HepDialogTracker;
@@ -0,0 +1,339 @@
+/**
+ * HEP Forwarder
+ *
+ * Mirrors received HEP packets to downstream HEP collectors (e.g. HOMER) over UDP
+ * or TCP, so agents only have to send once. Every target has its own filter, queue
+ * and connection; a target that cannot keep up drops packets instead of slowing
+ * down the relay.
+ */
+
+import hepjs from 'hep-js';
+
+const TRANSPORTS = ['udp', 'tcp'];
+
+/**
+ * Parse a target given as a URL
+ * @param {string} url - Target such as 'udp://homer:9060' or 'tcp://10.0.0.1:9061'
+ * @returns {Object} Target options
+ */
+export function parseForwardTarget(url) {
+  const match = String(url).trim().match(/^(udp|tcp):\/\/(\[[^\]]+\]|[^:/]+):(\d+)\/?$/i);
+  if (!match) {
+    throw new Error(`Invalid forward target '${url}', expected udp://host:port or tcp://host:port`);
+  }
+  return {
+    transport: match[1].toLowerCase(),
+    host: match[2].replace(/^\[|\]$/g, ''),
+    port: parseInt(match[3], 10)
+  };
+}
+
+class HepForwardTarget {
+  /**
+   * @param {Object} options - Target options
+   * @param {string} options.name - Target name, used in stats and metrics
+   * @param {string} options.transport - 'udp' or 'tcp'
+   * @param {string} options.host - Collector address
+   * @param {number} options.port - Collector port
+   * @param {Array<number>} options.payloadTypes - Only forward these HEP payload types
+   * @param {Array<number|string>} options.captureIds - Only forward packets from these agents
+   * @param {string} options.mode - 'raw' to forward packets unchanged, 'reencapsulate' to rebuild them
+   * @param {number} options.captureId - Capture ID set on re-encapsulated packets
+   * @param {string} options.capturePass - Capture password set on re-encapsulated packets
+   * @param {number} options.maxQueue - Packets queued before new ones are dropped
+   * @param {number} options.reconnectDelay - First reconnect delay (ms), doubled per attempt
+   * @param {number} options.reconnectMaxDelay - Longest reconnect delay (ms)
+   * @param {boolean} options.debug - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.transport = (options.transport || 'udp').toLowerCase();
+    if (!TRANSPORTS.includes(this.transport)) {
+      throw new Error(`Unknown forward transport '${options.transport}'`);
+    }
+    if (!options.host || !Number.isInteger(parseInt(options.port, 10))) {
+      throw new Error('Forward target needs a host and a port');
+    }
+
+    this.host = options.host;
+    this.port = parseInt(options.port, 10);
+    this.name = options.name || `${this.transport}://${this.host}:${this.port}`;
+    this.payloadTypes = options.payloadTypes ? new Set([].concat(options.payloadTypes).map(Number)) : null;
+    this.captureIds = options.captureIds ? new Set([].concat(options.captureIds).map(String)) : null;
+
+    this.mode = options.mode || 'raw';
+    if (!['raw', 'reencapsulate'].includes(this.mode)) {
+      throw new Error(`Unknown forward mode '${this.mode}'`);
+    }
+    this.captureId = options.captureId;
+    this.capturePass = options.capturePass;
+
+    this.maxQueue = parseInt(options.maxQueue, 10) || 10000;
+    this.reconnectDelay = parseInt(options.reconnectDelay, 10) || 1000;
+    this.reconnectMaxDelay = parseInt(options.reconnectMaxDelay, 10) || 30000;
+    this.debug = !!options.debug;
+
+    // Packets waiting for the socket, and how much of the first one TCP already took
+    this.queue = [];
+    this.offset = 0;
+    this.socket = null;
+    this.connecting = false;
+    this.closed = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimeoutId = null;
+
+    // Statistics
+    this.stats = {
+      packetsForwarded: 0,
+      bytesForwarded: 0,
+      packetsDropped: 0,
+      connectErrors: 0
+    };
+  }
+
+  /**
+   * Open the socket to the collector
+   */
+  async open() {
+    this.closed = false;
+
+    if (this.transport === 'udp') {
+      this.socket = await Bun.udpSocket({
+        socket: {
+          drain: () => this.flushQueue(),
+          error: (socket, error) => console.error(`Forward target ${this.name} error:`, error)
+        }
+      });
+      return;
+    }
+
+    this.connect();
+  }
+
+  /**
+   * Connect to a TCP collector; failures are retried with backoff
+   */
+  connect() {
+    if (this.closed || this.connecting || this.socket) return;
+    this.connecting = true;
+
+    Bun.connect({
+      hostname: this.host,
+      port: this.port,
+      socket: {
+        open: (socket) => {
+          this.socket = socket;
+          this.connecting = false;
+          this.reconnectAttempts = 0;
+          // A packet cut off by the last connection would corrupt the new stream
+          this.offset = 0;
+          this.flushQueue();
+        },
+        drain: () => this.flushQueue(),
+        data: () => {},
+        close: () => {
+          this.socket = null;
+          this.scheduleReconnect();
+        },
+        error: (socket, error) => {
+          if (this.debug) console.error(`Forward target ${this.name} error:`, error);
+        }
+      }
+    }).catch(error => {
+      this.connecting = false;
+      this.stats.connectErrors++;
+      if (this.debug) console.error(`Forward target ${this.name} connect error: ${error.message}`);
+      this.scheduleReconnect();
+    });
+  }
+
+  /**
+   * Schedule the next connection attempt with exponential backoff
+   */
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimeoutId) return;
+
+    const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts), this.reconnectMaxDelay);
+    this.reconnectAttempts++;
+
+    this.reconnectTimeoutId = setTimeout(() => {
+      this.reconnectTimeoutId = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * Check whether a packet passes the target's filters
+   * @param {Object} hepData - Decoded packet
+   * @returns {boolean} True if the packet should be forwarded
+   */
+  matches(hepData) {
+    if (this.payloadTypes && !this.payloadTypes.has(hepData.type)) return false;
+    if (this.captureIds && !this.captureIds.has(String(hepData.protocol_header.captureId))) return false;
+    return true;
+  }
+
+  /**
+   * Queue a packet for the collector
+   * @param {Buffer} packet - Raw HEP packet as received
+   * @param {Object} hepData - Decoded packet
+   */
+  send(packet, hepData) {
+    if (!this.matches(hepData)) return;
+
+    if (this.queue.length >= this.maxQueue) {
+      this.stats.packetsDropped++;
+      return;
+    }
+
+    this.queue.push(this.mode === 'raw' ? packet : this.reencapsulate(hepData));
+    this.flushQueue();
+  }
+
+  /**
+   * Rebuild a packet with hep-js, applying the configured capture credentials
+   * @param {Object} hepData - Decoded packet
+   * @returns {Buffer} HEP3 packet
+   */
+  reencapsulate(hepData) {
+    const rcinfo = { ...hepData.protocol_header };
+    if (this.captureId !== undefined) rcinfo.captureId = this.captureId;
+    if (this.capturePass !== undefined) rcinfo.capturePass = this.capturePass;
+    return hepjs.encapsulate(hepData.raw, rcinfo);
+  }
+
+  /**
+   * Write queued packets until the queue is empty or the socket pushes back
+   */
+  flushQueue() {
+    while (this.queue.length > 0 && this.socket) {
+      const packet = this.queue[0];
+
+      if (this.transport === 'udp') {
+        if (!this.socket.send(packet, this.port, this.host)) return;
+      } else {
+        const written = this.socket.write(this.offset ? packet.subarray(this.offset) : packet);
+        if (written < packet.length - this.offset) {
+          // Wait for drain and continue where the socket stopped
+          this.offset += Math.max(written, 0);
+          return;
+        }
+        this.offset = 0;
+      }
+
+      this.queue.shift();
+      this.stats.packetsForwarded++;
+      this.stats.bytesForwarded += packet.length;
+    }
+  }
+
+  /**
+   * Close the socket; packets still queued are counted as dropped
+   */
+  close() {
+    this.closed = true;
+
+    if (this.reconnectTimeoutId) {
+      clearTimeout(this.reconnectTimeoutId);
+      this.reconnectTimeoutId = null;
+    }
+
+    if (this.socket) {
+      try {
+        if (this.transport === 'udp') this.socket.close();
+        else this.socket.end();
+      } catch (error) {
+        console.error(`Error closing forward target ${this.name}:`, error);
+      }
+      this.socket = null;
+    }
+
+    this.stats.packetsDropped += this.queue.length;
+    this.queue = [];
+  }
+
+  /**
+   * Get target statistics
+   * @returns {Object} Target statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      queueLength: this.queue.length,
+      connected: !!this.socket
+    };
+  }
+}
+
+class HepForwarder {
+  /**
+   * @param {Object} options - Forwarder options
+   * @param {Array<Object|string>} options.targets - Target options, or target URLs
+   * @param {Object} options.defaults - Options applied to every target
+   */
+  constructor(options = {}) {
+    const targets = options.targets || [];
+    this.targets = targets.map(target => new HepForwardTarget({
+      ...options.defaults,
+      ...(typeof target === 'string' ? parseForwardTarget(target) : target)
+    }));
+  }
+
+  /**
+   * Open every target
+   */
+  async open() {
+    for (const target of this.targets) {
+      await target.open();
+    }
+  }
+
+  /**
+   * Forward a packet to every target whose filters it passes
+   * @param {Buffer} packet - Raw HEP packet as received
+   * @param {Object} hepData - Decoded packet
+   */
+  forward(packet, hepData) {
+    for (const target of this.targets) {
+      try {
+        target.send(packet, hepData);
+      } catch (error) {
+        target.stats.packetsDropped++;
+        console.error(`Error forwarding to ${target.name}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Close every target
+   */
+  close() {
+    for (const target of this.targets) {
+      target.close();
+    }
+  }
+
+  /**
+   * Get forwarder statistics
+   * @returns {Object} Totals, plus statistics per target
+   */
+  getStats() {
+    const stats = { packetsForwarded: 0, packetsForwardDropped: 0 };
+    for (const target of this.targets) {
+      stats.packetsForwarded += target.stats.packetsForwarded;
+      stats.packetsForwardDropped += target.stats.packetsDropped;
+    }
+    return {
+      ...stats,
+      forwardTargets: Object.fromEntries(this.targets.map(target => [target.name, target.getStats()]))
+    };
+  }
+}
+
+// Function to create a new forwarder
+export function createHepForwarder(options) {
+  return new HepForwarder(options);
+}
+
+export { HepForwardTarget };
+
+export default HepForwarder;
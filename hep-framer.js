@@ -0,0 +1,143 @@
+/**
+ * HEP Stream Framer
+ *
+ * TCP delivers a byte stream, not packets: a single read can carry several HEP
+ * packets or only part of one. This module reassembles HEP3 frames from a stream
+ * using the "HEP3" magic and the 16-bit total length in the header.
+ */
+
+const HEP3_MAGIC = Buffer.from('HEP3');
+const HEP3_HEADER_LENGTH = 6;
+
+class HepStreamFramer {
+  /**
+   * @param {Object} options - Framer options
+   * @param {number} options.maxFrameSize - Largest frame accepted, in bytes
+   * @param {Function} options.onError - Called with a reason string for every framing error
+   */
+  constructor(options = {}) {
+    this.maxFrameSize = options.maxFrameSize || 65535;
+    this.onError = options.onError || null;
+    this.pending = Buffer.alloc(0);
+    // Set while skipping garbage, so one corrupt run counts as one error
+    this.resyncing = false;
+
+    // Statistics
+    this.stats = {
+      framesDecoded: 0,
+      framingErrors: 0,
+      bytesDiscarded: 0
+    };
+  }
+
+  /**
+   * Append a chunk read from the stream and extract every complete frame
+   * @param {Buffer} chunk - Data read from the socket
+   * @returns {Array<Buffer>} Complete HEP frames, in stream order
+   */
+  push(chunk) {
+    const frames = [];
+
+    this.pending = this.pending.length > 0
+      ? Buffer.concat([this.pending, chunk])
+      : Buffer.from(chunk);
+
+    while (this.pending.length >= HEP3_HEADER_LENGTH) {
+      // Resync on garbage: skip ahead to the next magic
+      if (this.pending.compare(HEP3_MAGIC, 0, 4, 0, 4) !== 0) {
+        this.resync('invalid magic');
+        continue;
+      }
+
+      const frameLength = this.pending.readUInt16BE(4);
+
+      if (frameLength <= HEP3_HEADER_LENGTH) {
+        this.resync('invalid frame length');
+        continue;
+      }
+
+      if (frameLength > this.maxFrameSize) {
+        this.resync('frame too large');
+        continue;
+      }
+
+      // Wait for the rest of the frame
+      if (this.pending.length < frameLength) break;
+
+      frames.push(this.pending.subarray(0, frameLength));
+      this.pending = this.pending.subarray(frameLength);
+      this.stats.framesDecoded++;
+      this.resyncing = false;
+    }
+
+    // A partial magic can never grow into a frame once it stops matching
+    if (this.pending.length > 0 && this.pending.length < HEP3_HEADER_LENGTH) {
+      const prefixLength = Math.min(this.pending.length, 4);
+      if (this.pending.compare(HEP3_MAGIC, 0, prefixLength, 0, prefixLength) !== 0) {
+        this.resync('invalid magic');
+      }
+    }
+
+    return frames;
+  }
+
+  /**
+   * Drop bytes up to the next possible frame start
+   * @param {string} reason - Why the current data was rejected
+   */
+  resync(reason) {
+    // Never match the magic at offset 0 again, or we would loop forever
+    let next = this.pending.indexOf(HEP3_MAGIC, 1);
+
+    if (next === -1) {
+      // Keep a tail that might be the beginning of a magic split across reads
+      next = Math.max(1, this.pending.length - (HEP3_MAGIC.length - 1));
+      while (next < this.pending.length && this.pending[next] !== HEP3_MAGIC[0]) {
+        next++;
+      }
+    }
+
+    this.stats.bytesDiscarded += next;
+    this.pending = this.pending.subarray(next);
+
+    if (!this.resyncing) {
+      this.resyncing = true;
+      this.recordError(reason);
+    }
+  }
+
+  /**
+   * Called when the connection closes; leftover bytes are a truncated frame
+   */
+  end() {
+    if (this.pending.length > 0) {
+      this.stats.bytesDiscarded += this.pending.length;
+      this.pending = Buffer.alloc(0);
+      this.recordError('truncated frame');
+    }
+  }
+
+  /**
+   * Count a framing error and notify the listener
+   * @param {string} reason - Error reason
+   */
+  recordError(reason) {
+    this.stats.framingErrors++;
+    if (this.onError) this.onError(reason);
+  }
+
+  /**
+   * Number of bytes waiting for the rest of a frame
+   * @returns {number} Pending byte count
+   */
+  get pendingBytes() {
+    return this.pending.length;
+  }
+}
+
+// Function to create a new framer
+export function createHepStreamFramer(options) {
+  return new HepStreamFramer(options);
+}
+
+export default HepStreamFramer;
@@ -0,0 +1,89 @@
+/**
+ * HEP Version 1 and 2
+ *
+ * Decodes the fixed binary headers older capture agents (OpenSIPS, Kamailio and
+ * Asterisk res_hep before HEP3) still send:
+ *
+ *   struct hep_hdr      version (1 or 2), header length (8), address family,
+ *                       IP protocol, source port, destination port
+ *   struct hep_iphdr    source and destination address (IPv4 or IPv6)
+ *   struct hep_timehdr  HEPv2 only: seconds, microseconds and capture ID
+ *
+ * followed by the SIP message. Ports and addresses are in network byte order, the
+ * HEPv2 time header in the byte order of the sending host, in practice little-endian.
+ */
+
+import { formatIPv6 } from './hep-pcap.js';
+
+const HEADER_LENGTH = 8;
+// struct hep_timehdr: two u32 and a u16, padded to 12 bytes by the compiler
+const TIME_HEADER_LENGTH = 12;
+const AF_INET = 2;
+const AF_INET6 = 10;
+
+/**
+ * Check whether a packet is HEPv1 or HEPv2 rather than HEP3
+ * @param {Buffer} data - Raw packet
+ * @returns {boolean} True for a HEPv1 or HEPv2 header
+ */
+export function isLegacyHep(data) {
+  return data.length > HEADER_LENGTH &&
+    (data[0] === 1 || data[0] === 2) &&
+    data[1] === HEADER_LENGTH &&
+    (data[2] === AF_INET || data[2] === AF_INET6);
+}
+
+/**
+ * Decode a HEPv1 or HEPv2 packet into the shape hep-js gives HEP3 packets
+ * @param {Buffer} data - Raw packet
+ * @returns {Object} `{ rcinfo, payload }`
+ * @throws {Error} If the packet is truncated or not HEPv1/v2
+ */
+export function decodeLegacyHep(data) {
+  if (!isLegacyHep(data)) {
+    throw new Error('Not a HEPv1/HEPv2 packet');
+  }
+
+  const version = data[0];
+  const family = data[2];
+  const addressLength = family === AF_INET ? 4 : 16;
+  let offset = HEADER_LENGTH + addressLength * 2;
+  if (version === 2) offset += TIME_HEADER_LENGTH;
+  if (data.length < offset) {
+    throw new Error(`Truncated HEPv${version} packet: ${data.length} bytes`);
+  }
+
+  const addressOffset = HEADER_LENGTH;
+  const formatAddress = (start) => family === AF_INET
+    ? Array.from(data.subarray(start, start + 4)).join('.')
+    : formatIPv6(data.subarray(start, start + 16));
+
+  const rcinfo = {
+    protocolFamily: family,
+    protocol: data[3],
+    srcIp: formatAddress(addressOffset),
+    dstIp: formatAddress(addressOffset + addressLength),
+    srcPort: data.readUInt16BE(4),
+    dstPort: data.readUInt16BE(6),
+    // HEPv1 and HEPv2 only carry SIP
+    payloadType: 1,
+    captureId: 0
+  };
+
+  if (version === 2) {
+    const timeOffset = addressOffset + addressLength * 2;
+    rcinfo.timeSeconds = data.readUInt32LE(timeOffset);
+    rcinfo.timeUseconds = data.readUInt32LE(timeOffset + 4);
+    rcinfo.captureId = data.readUInt16LE(timeOffset + 8);
+  } else {
+    // HEPv1 has no timestamp; the time of arrival is the best there is
+    const now = Date.now();
+    rcinfo.timeSeconds = Math.floor(now / 1000);
+    rcinfo.timeUseconds = (now % 1000) * 1000;
+  }
+  rcinfo.hepNodeName = String(rcinfo.captureId);
+
+  return { rcinfo, payload: data.subarray(offset).toString('utf8') };
+}
+
+export default decodeLegacyHep;
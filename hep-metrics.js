@@ -0,0 +1,165 @@
+/**
+ * HEP Relay Metrics
+ *
+ * Minimal metrics registry rendering counters, gauges and histograms in the
+ * Prometheus text exposition format.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class HepMetrics {
+  constructor(prefix = 'hep_relay_') {
+    this.prefix = prefix;
+    this.metrics = new Map();
+  }
+
+  /**
+   * Register a counter
+   * @param {string} name - Metric name, without prefix
+   * @param {string} help - Help text
+   * @param {Function} collect - Optional callback returning the current value
+   * @returns {Object} Counter with inc(labels, value)
+   */
+  counter(name, help, collect) {
+    return this.register(name, 'counter', help, collect);
+  }
+
+  /**
+   * Register a gauge
+   * @param {string} name - Metric name, without prefix
+   * @param {string} help - Help text
+   * @param {Function} collect - Optional callback returning the current value
+   * @returns {Object} Gauge with set(labels, value)
+   */
+  gauge(name, help, collect) {
+    return this.register(name, 'gauge', help, collect);
+  }
+
+  /**
+   * Register a histogram
+   * @param {string} name - Metric name, without prefix
+   * @param {string} help - Help text
+   * @param {Array<number>} buckets - Upper bounds of the buckets
+   * @returns {Object} Histogram with observe(value, labels)
+   */
+  histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = this.register(name, 'histogram', help);
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+    return metric;
+  }
+
+  /**
+   * Create and store a metric
+   * @param {string} name - Metric name, without prefix
+   * @param {string} type - Prometheus metric type
+   * @param {string} help - Help text
+   * @param {Function} collect - Optional callback returning the current value
+   * @returns {Object} The metric
+   */
+  register(name, type, help, collect = null) {
+    const registry = this;
+    const metric = {
+      name: `${this.prefix}${name}`,
+      type,
+      help,
+      collect,
+      values: new Map(),
+
+      inc(labels = {}, value = 1) {
+        const key = registry.labelKey(labels);
+        const current = this.values.get(key);
+        this.values.set(key, { labels, value: (current ? current.value : 0) + value });
+      },
+
+      set(labels = {}, value = 0) {
+        this.values.set(registry.labelKey(labels), { labels, value });
+      },
+
+      observe(value, labels = {}) {
+        const key = registry.labelKey(labels);
+        let series = this.values.get(key);
+        if (!series) {
+          series = { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+          this.values.set(key, series);
+        }
+        for (let i = 0; i < this.buckets.length; i++) {
+          if (value <= this.buckets[i]) series.counts[i]++;
+        }
+        series.sum += value;
+        series.count++;
+      }
+    };
+
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Build a stable map key from a label set
+   * @param {Object} labels - Label key-value pairs
+   * @returns {string} Map key
+   */
+  labelKey(labels) {
+    return Object.keys(labels).sort().map(key => `${key}=${labels[key]}`).join(',');
+  }
+
+  /**
+   * Format a label set for the exposition format
+   * @param {Object} labels - Label key-value pairs
+   * @returns {string} Label string including braces, or '' when empty
+   */
+  formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const pairs = entries.map(([key, value]) =>
+      `${key}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+    return `{${pairs.join(',')}}`;
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string} Metrics text
+   */
+  render() {
+    const lines = [];
+
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      if (metric.collect) {
+        const collected = metric.collect();
+        // A collector returns either a number or a list of { labels, value }
+        const series = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+        for (const { labels, value } of series) {
+          lines.push(`${metric.name}${this.formatLabels(labels)} ${value}`);
+        }
+        continue;
+      }
+
+      for (const series of metric.values.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${this.formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+
+        metric.buckets.forEach((bound, i) => {
+          const labels = this.formatLabels({ ...series.labels, le: bound });
+          lines.push(`${metric.name}_bucket${labels} ${series.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${this.formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${this.formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${metric.name}_count${this.formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Function to create a new metrics registry
+export function createHepMetrics(prefix) {
+  return new HepMetrics(prefix);
+}
+
+export default HepMetrics;
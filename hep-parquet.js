@@ -0,0 +1,373 @@
+/**
+ * HEP Parquet Writer
+ *
+ * Writes Line Protocol batches as Parquet files using DuckDB, partitioned the way
+ * GigAPI lays out its data: <db>/<measurement>/date=YYYY-MM-DD/hour=HH/<uuid>.parquet
+ *
+ * Rows are staged as NDJSON on disk per partition and converted to a Parquet file
+ * when the partition rotates, so staged data survives a restart.
+ */
+
+import { DuckDBInstance } from '@duckdb/node-api';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const STAGING_DIR = '.staging';
+
+/**
+ * Split a Line Protocol section on an unescaped separator
+ * @param {string} text - Text to split
+ * @param {string} separator - Separator character
+ * @returns {Array<string>} Parts, still escaped
+ */
+function splitUnescaped(text, separator) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\' && i + 1 < text.length) {
+      current += char + text[++i];
+      continue;
+    }
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === separator && !inQuotes) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Remove Line Protocol escaping from a key, tag value or measurement
+ * @param {string} text - Escaped text
+ * @returns {string} Unescaped text
+ */
+function unescape(text) {
+  return text.replace(/\\([ ,="\\])/g, '$1');
+}
+
+/**
+ * Parse a Line Protocol field value
+ * @param {string} text - Raw field value
+ * @returns {Object} Value with its DuckDB type; integers keep their digits to avoid precision loss
+ */
+function parseFieldValue(text) {
+  if (text.startsWith('"')) {
+    return { type: 'VARCHAR', value: text.slice(1, -1).replace(/\\(["\\])/g, '$1') };
+  }
+  if (/^-?\d+i$/.test(text)) {
+    return { type: 'BIGINT', value: text.slice(0, -1) };
+  }
+  if (/^-?\d+u$/.test(text)) {
+    return { type: 'UBIGINT', value: text.slice(0, -1) };
+  }
+  if (/^(t|true|T|True|TRUE)$/.test(text)) return { type: 'BOOLEAN', value: 'true' };
+  if (/^(f|false|F|False|FALSE)$/.test(text)) return { type: 'BOOLEAN', value: 'false' };
+
+  return { type: 'DOUBLE', value: String(Number(text)) };
+}
+
+/**
+ * Parse one Line Protocol line into a row
+ * @param {string} line - Line Protocol line
+ * @returns {Object|null} Row with measurement, columns and timestamp, or null for blank lines
+ */
+export function parseLineProtocol(line) {
+  if (!line || !line.trim()) return null;
+
+  const sections = splitUnescaped(line.trim(), ' ').filter(section => section !== '');
+  if (sections.length < 2) {
+    throw new Error(`Invalid Line Protocol: ${line.slice(0, 100)}`);
+  }
+
+  const [series, fieldSet, timestamp] = sections;
+  const [measurement, ...tagPairs] = splitUnescaped(series, ',');
+  const columns = {};
+
+  for (const pair of tagPairs) {
+    const [key, value] = splitUnescaped(pair, '=');
+    columns[unescape(key)] = { type: 'VARCHAR', value: unescape(value || '') };
+  }
+
+  for (const pair of splitUnescaped(fieldSet, ',')) {
+    const separator = splitUnescaped(pair, '=');
+    const key = separator.shift();
+    columns[unescape(key)] = parseFieldValue(separator.join('='));
+  }
+
+  return {
+    measurement: unescape(measurement),
+    columns,
+    timestamp: timestamp || `${BigInt(Date.now()) * 1000000n}`
+  };
+}
+
+class HepParquetWriter {
+  /**
+   * @param {Object} options - Writer options
+   * @param {string} options.outputDir - Root directory of the Parquet tree
+   * @param {string} options.database - Database name, the first level of the tree
+   * @param {number} options.rowGroupSize - Rows per Parquet row group
+   * @param {number} options.maxRowsPerFile - Rotate a partition once it holds this many rows
+   * @param {number} options.rotateInterval - Rotate a partition once its oldest row is this old (ms)
+   * @param {boolean} options.debug - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || './data';
+    this.database = options.database || 'hep';
+    this.rowGroupSize = options.rowGroupSize || 100000;
+    this.maxRowsPerFile = options.maxRowsPerFile || 500000;
+    this.rotateInterval = options.rotateInterval || 300000;
+    this.debug = !!options.debug;
+
+    this.stagingDir = path.join(this.outputDir, STAGING_DIR);
+    // Open partitions by key: { key, dir, stagingFile, schemaFile, columns, rows, openedAt }
+    this.partitions = new Map();
+    this.lock = Promise.resolve();
+
+    // Statistics
+    this.stats = {
+      parquetRowsWritten: 0,
+      parquetFilesWritten: 0
+    };
+  }
+
+  /**
+   * Run a writer operation after every previously scheduled one
+   * @param {Function} operation - Async operation
+   * @returns {Promise<*>} Result of the operation
+   */
+  serialize(operation) {
+    const result = this.lock.then(operation);
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Open DuckDB and convert partitions left staged by a previous run
+   */
+  async open() {
+    await fs.promises.mkdir(this.stagingDir, { recursive: true });
+
+    this.instance = await DuckDBInstance.create(':memory:');
+    this.connection = await this.instance.connect();
+
+    return this.serialize(async () => {
+      const files = await fs.promises.readdir(this.stagingDir);
+
+      for (const file of files.filter(name => name.endsWith('.ndjson'))) {
+        const key = decodeURIComponent(file.slice(0, -'.ndjson'.length));
+        const partition = this.createPartition(key);
+
+        try {
+          partition.columns = JSON.parse(await fs.promises.readFile(partition.schemaFile, 'utf8'));
+          this.partitions.set(key, partition);
+          await this.writePartition(partition);
+        } catch (error) {
+          console.error(`Could not recover staged partition ${key}: ${error.message}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Stage a batch of Line Protocol records
+   * @param {string} data - Line Protocol data, one record per line
+   * @param {string} database - Database to write to, defaults to the writer's database
+   */
+  async write(data, database = this.database) {
+    return this.serialize(async () => {
+      const pending = new Map();
+
+      for (const line of data.split('\n')) {
+        const row = parseLineProtocol(line);
+        if (!row) continue;
+
+        const key = this.partitionKey(row, database);
+        if (!pending.has(key)) pending.set(key, []);
+        pending.get(key).push(row);
+      }
+
+      for (const [key, rows] of pending) {
+        await this.stageRows(key, rows);
+      }
+
+      await this.rotateDue(false);
+    });
+  }
+
+  /**
+   * Convert every partition that is due (or all of them) into Parquet files
+   * @param {boolean} force - Rotate every open partition
+   */
+  async rotate(force = false) {
+    return this.serialize(() => this.rotateDue(force));
+  }
+
+  /**
+   * Write out every staged partition and close DuckDB
+   */
+  async close() {
+    await this.rotate(true);
+
+    if (this.connection) {
+      this.connection.closeSync();
+      this.connection = null;
+    }
+  }
+
+  /**
+   * Build the partition key of a row
+   * @param {Object} row - Parsed row
+   * @param {string} database - Database of the row
+   * @returns {string} Key: database, measurement, date and hour
+   */
+  partitionKey(row, database = this.database) {
+    const time = new Date(Number(BigInt(row.timestamp) / 1000000n));
+    const date = time.toISOString().slice(0, 10);
+    const hour = time.toISOString().slice(11, 13);
+    return [database, row.measurement, date, hour].join('/');
+  }
+
+  /**
+   * Describe a partition and the files that belong to it
+   * @param {string} key - Partition key
+   * @returns {Object} Partition state
+   */
+  createPartition(key) {
+    const [database, measurement, date, hour] = key.split('/');
+    const stagingName = encodeURIComponent(key);
+
+    return {
+      key,
+      dir: path.join(this.outputDir, database, measurement, `date=${date}`, `hour=${hour}`),
+      stagingFile: path.join(this.stagingDir, `${stagingName}.ndjson`),
+      schemaFile: path.join(this.stagingDir, `${stagingName}.schema.json`),
+      columns: {},
+      rows: 0,
+      openedAt: Date.now()
+    };
+  }
+
+  /**
+   * Append rows to a partition's staging file, widening its schema as needed
+   * @param {string} key - Partition key
+   * @param {Array<Object>} rows - Parsed rows
+   */
+  async stageRows(key, rows) {
+    let partition = this.partitions.get(key);
+    if (!partition) {
+      partition = this.createPartition(key);
+      this.partitions.set(key, partition);
+    }
+
+    let schemaChanged = false;
+    const lines = rows.map(row => {
+      const parts = [`"time":${row.timestamp}`];
+
+      for (const [column, { type, value }] of Object.entries(row.columns)) {
+        if (!partition.columns[column]) {
+          partition.columns[column] = type;
+          schemaChanged = true;
+        } else if (partition.columns[column] !== type && partition.columns[column] !== 'VARCHAR') {
+          // Conflicting types across rows fall back to text
+          partition.columns[column] = 'VARCHAR';
+          schemaChanged = true;
+        }
+        parts.push(`${JSON.stringify(column)}:${type === 'VARCHAR' ? JSON.stringify(value) : value}`);
+      }
+
+      return `{${parts.join(',')}}`;
+    });
+
+    if (schemaChanged) {
+      await fs.promises.writeFile(partition.schemaFile, JSON.stringify(partition.columns));
+    }
+
+    await fs.promises.appendFile(partition.stagingFile, lines.join('\n') + '\n');
+    partition.rows += rows.length;
+  }
+
+  /**
+   * Rotate partitions that are full or old enough
+   * @param {boolean} force - Rotate every open partition
+   */
+  async rotateDue(force) {
+    const now = Date.now();
+
+    for (const partition of [...this.partitions.values()]) {
+      if (force ||
+        partition.rows >= this.maxRowsPerFile ||
+        now - partition.openedAt >= this.rotateInterval) {
+        await this.writePartition(partition);
+      }
+    }
+  }
+
+  /**
+   * Convert a staged partition into a Parquet file and remove its staging files
+   * @param {Object} partition - Partition state
+   */
+  async writePartition(partition) {
+    await fs.promises.mkdir(partition.dir, { recursive: true });
+
+    const filePath = path.join(partition.dir, `${crypto.randomUUID()}.parquet`);
+    const columns = Object.entries({ time: 'BIGINT', ...partition.columns })
+      .map(([column, type]) => `${this.quoteString(column)}: '${type}'`)
+      .join(', ');
+
+    // Write under a temporary name so readers never see a partial file
+    await this.connection.run(
+      `COPY (SELECT * FROM read_json(${this.quoteString(partition.stagingFile)}, ` +
+      `format = 'newline_delimited', columns = {${columns}})) ` +
+      `TO ${this.quoteString(`${filePath}.tmp`)} (FORMAT PARQUET, ROW_GROUP_SIZE ${parseInt(this.rowGroupSize, 10)})`
+    );
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+
+    await fs.promises.unlink(partition.stagingFile).catch(() => {});
+    await fs.promises.unlink(partition.schemaFile).catch(() => {});
+    this.partitions.delete(partition.key);
+
+    this.stats.parquetRowsWritten += partition.rows;
+    this.stats.parquetFilesWritten++;
+
+    if (this.debug) {
+      console.log(`Wrote Parquet file: ${filePath}`);
+    }
+  }
+
+  /**
+   * Quote a string literal for DuckDB SQL
+   * @param {string} value - Value to quote
+   * @returns {string} Quoted literal
+   */
+  quoteString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Get writer statistics
+   * @returns {Object} Writer statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      parquetOpenPartitions: this.partitions.size
+    };
+  }
+}
+
+// Function to create a new Parquet writer
+export function createHepParquetWriter(options) {
+  return new HepParquetWriter(options);
+}
+
+export default HepParquetWriter;
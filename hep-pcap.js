@@ -0,0 +1,815 @@
+/**
+ * HEP PCAP Reader
+ *
+ * Reads pcap and pcapng capture files and extracts the SIP and RTCP messages they
+ * carry over UDP and TCP. IP fragments and TCP streams are reassembled first, so
+ * messages split across packets come out whole, with the addresses, ports and
+ * capture time needed to build a HEP header.
+ */
+
+import fs from 'fs';
+
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+// pcap magic numbers, as read little-endian
+const PCAP_MAGIC = 0xa1b2c3d4;
+const PCAP_MAGIC_SWAPPED = 0xd4c3b2a1;
+const PCAP_MAGIC_NS = 0xa1b23c4d;
+const PCAP_MAGIC_NS_SWAPPED = 0x4d3cb2a1;
+
+// pcapng block types
+const PCAPNG_SECTION_HEADER = 0x0a0d0d0a;
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+const PCAPNG_INTERFACE_DESCRIPTION = 1;
+const PCAPNG_SIMPLE_PACKET = 3;
+const PCAPNG_ENHANCED_PACKET = 6;
+const PCAPNG_OPTION_TSRESOL = 9;
+
+// Link-layer header types (https://www.tcpdump.org/linktypes.html)
+const LINKTYPE_NULL = 0;
+const LINKTYPE_ETHERNET = 1;
+const LINKTYPE_RAW = 101;
+const LINKTYPE_LOOP = 108;
+const LINKTYPE_LINUX_SLL = 113;
+const LINKTYPE_IPV4 = 228;
+const LINKTYPE_IPV6 = 229;
+const LINKTYPE_LINUX_SLL2 = 276;
+// Values some systems write for raw IP instead of 101
+const LINKTYPE_RAW_ALIASES = [12, 14];
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_IPV6 = 0x86dd;
+const ETHERTYPE_VLAN = [0x8100, 0x88a8, 0x9100];
+
+const PROTO_TCP = 6;
+const PROTO_UDP = 17;
+
+// IPv6 extension headers skipped on the way to the transport header
+const IPV6_EXTENSION_HEADERS = [0, 43, 60];
+const IPV6_FRAGMENT_HEADER = 44;
+
+// HEP payload types of the messages found in captures
+const PAYLOAD_TYPE_SIP = 1;
+const PAYLOAD_TYPE_RTCP = 5;
+
+const SIP_START_LINE = /^(?:[A-Z]+ \S+ SIP\/2\.0\r?\n|SIP\/2\.0 \d{3}[ \r\n])/;
+const CONTENT_LENGTH = /^(?:content-length|l)[ \t]*:[ \t]*(\d+)/im;
+
+/**
+ * Sequential reader over a file handle, reading ahead in large chunks
+ */
+class FileChunkReader {
+  /**
+   * @param {FileHandle} handle - Open file handle
+   */
+  constructor(handle) {
+    this.handle = handle;
+    this.buffer = Buffer.alloc(0);
+    this.eof = false;
+  }
+
+  /**
+   * Read exactly `length` bytes
+   * @param {number} length - Bytes to read
+   * @returns {Promise<Buffer|null>} Bytes read, or null if the file ends first
+   */
+  async read(length) {
+    while (this.buffer.length < length && !this.eof) {
+      const chunk = Buffer.alloc(Math.max(READ_CHUNK_SIZE, length));
+      const { bytesRead } = await this.handle.read(chunk, 0, chunk.length, null);
+      if (bytesRead === 0) this.eof = true;
+      this.buffer = Buffer.concat([this.buffer, chunk.subarray(0, bytesRead)]);
+    }
+    if (this.buffer.length < length) return null;
+
+    const data = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(length);
+    return data;
+  }
+}
+
+/**
+ * Read the frames of a pcap or pcapng file
+ * @param {string} filePath - Capture file
+ * @yields {Object} Frames: `{ linkType, seconds, useconds, data }`
+ */
+export async function* readCaptureFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const reader = new FileChunkReader(handle);
+    const magic = await reader.read(4);
+    if (!magic) throw new Error(`${filePath}: file is empty`);
+
+    if (magic.readUInt32LE(0) === PCAPNG_SECTION_HEADER) {
+      yield* readPcapng(reader, magic);
+    } else {
+      yield* readPcap(reader, magic, filePath);
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read the frames of a classic pcap file
+ * @param {FileChunkReader} reader - Reader positioned after the magic number
+ * @param {Buffer} magic - Magic number
+ * @param {string} filePath - Capture file, for error messages
+ */
+async function* readPcap(reader, magic, filePath) {
+  const value = magic.readUInt32LE(0);
+  if (![PCAP_MAGIC, PCAP_MAGIC_SWAPPED, PCAP_MAGIC_NS, PCAP_MAGIC_NS_SWAPPED].includes(value)) {
+    throw new Error(`${filePath}: not a pcap or pcapng file`);
+  }
+  const littleEndian = value === PCAP_MAGIC || value === PCAP_MAGIC_NS;
+  const nanoseconds = value === PCAP_MAGIC_NS || value === PCAP_MAGIC_NS_SWAPPED;
+  const u32 = (buffer, offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+  const header = await reader.read(20);
+  if (!header) throw new Error(`${filePath}: truncated pcap header`);
+  // The upper bits can carry FCS information
+  const linkType = u32(header, 16) & 0x0fffffff;
+
+  let record;
+  while ((record = await reader.read(16))) {
+    const capturedLength = u32(record, 8);
+    const data = await reader.read(capturedLength);
+    if (!data) break;
+
+    const fraction = u32(record, 4);
+    yield {
+      linkType,
+      seconds: u32(record, 0),
+      useconds: nanoseconds ? Math.floor(fraction / 1000) : fraction,
+      data
+    };
+  }
+}
+
+/**
+ * Read the frames of a pcapng file
+ * @param {FileChunkReader} reader - Reader positioned after the first block type
+ * @param {Buffer} blockType - First block type (a section header)
+ */
+async function* readPcapng(reader, blockType) {
+  let littleEndian = true;
+  let interfaces = [];
+  let lastTime = { seconds: 0, useconds: 0 };
+
+  while (blockType) {
+    const lengthBytes = await reader.read(4);
+    if (!lengthBytes) break;
+
+    let type = littleEndian ? blockType.readUInt32LE(0) : blockType.readUInt32BE(0);
+    if (type === PCAPNG_SECTION_HEADER) {
+      // The byte order magic decides how the rest of the section is read
+      const orderBytes = await reader.read(4);
+      if (!orderBytes) break;
+      littleEndian = orderBytes.readUInt32LE(0) === PCAPNG_BYTE_ORDER_MAGIC;
+      interfaces = [];
+      type = PCAPNG_SECTION_HEADER;
+    }
+
+    const u32 = (buffer, offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+    const u16 = (buffer, offset) => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+
+    const totalLength = u32(lengthBytes, 0);
+    const consumed = type === PCAPNG_SECTION_HEADER ? 12 : 8;
+    if (totalLength < consumed + 4 || totalLength % 4 !== 0) {
+      throw new Error(`Corrupt pcapng block of length ${totalLength}`);
+    }
+    const body = await reader.read(totalLength - consumed);
+    if (!body) break;
+
+    if (type === PCAPNG_INTERFACE_DESCRIPTION) {
+      interfaces.push({
+        linkType: u16(body, 0),
+        resolution: readTimestampResolution(body, 8, body.length - 4, u16)
+      });
+    } else if (type === PCAPNG_ENHANCED_PACKET) {
+      const iface = interfaces[u32(body, 0)];
+      const capturedLength = u32(body, 12);
+      if (iface && 20 + capturedLength <= body.length) {
+        const timestamp = (BigInt(u32(body, 4)) << 32n) | BigInt(u32(body, 8));
+        lastTime = splitTimestamp(timestamp, iface.resolution);
+        yield { linkType: iface.linkType, ...lastTime, data: body.subarray(20, 20 + capturedLength) };
+      }
+    } else if (type === PCAPNG_SIMPLE_PACKET) {
+      // Simple packets have no timestamp; they take the time of the previous packet
+      const iface = interfaces[0];
+      if (iface) {
+        const capturedLength = Math.min(u32(body, 0), body.length - 8);
+        yield { linkType: iface.linkType, ...lastTime, data: body.subarray(4, 4 + capturedLength) };
+      }
+    }
+
+    blockType = await reader.read(4);
+  }
+}
+
+/**
+ * Read the if_tsresol option of an interface description block
+ * @param {Buffer} body - Block body
+ * @param {number} offset - Offset of the first option
+ * @param {number} end - End of the options
+ * @param {Function} u16 - 16-bit reader for the section's byte order
+ * @returns {bigint} Timestamp units per second
+ */
+function readTimestampResolution(body, offset, end, u16) {
+  while (offset + 4 <= end) {
+    const code = u16(body, offset);
+    const length = u16(body, offset + 2);
+    if (code === 0) break;
+    if (code === PCAPNG_OPTION_TSRESOL && length >= 1) {
+      const value = body[offset + 4];
+      // High bit set: a negative power of two, otherwise of ten
+      return value & 0x80 ? 2n ** BigInt(value & 0x7f) : 10n ** BigInt(value);
+    }
+    offset += 4 + Math.ceil(length / 4) * 4;
+  }
+  return 1000000n;
+}
+
+/**
+ * Split a pcapng timestamp into seconds and microseconds
+ * @param {bigint} timestamp - Timestamp in interface units
+ * @param {bigint} resolution - Units per second
+ * @returns {Object} `{ seconds, useconds }`
+ */
+function splitTimestamp(timestamp, resolution) {
+  return {
+    seconds: Number(timestamp / resolution),
+    useconds: Number((timestamp % resolution) * 1000000n / resolution)
+  };
+}
+
+/**
+ * Find the IP packet inside a link-layer frame
+ * @param {number} linkType - Link-layer header type
+ * @param {Buffer} data - Frame
+ * @returns {Buffer|null} IP packet, or null for anything that is not IP
+ */
+export function unwrapLinkLayer(linkType, data) {
+  let offset;
+  let etherType;
+
+  switch (linkType) {
+    case LINKTYPE_ETHERNET:
+      if (data.length < 14) return null;
+      offset = 14;
+      etherType = data.readUInt16BE(12);
+      // Skip 802.1Q and 802.1ad tags
+      while (ETHERTYPE_VLAN.includes(etherType) && data.length >= offset + 4) {
+        etherType = data.readUInt16BE(offset + 2);
+        offset += 4;
+      }
+      break;
+    case LINKTYPE_LINUX_SLL:
+      if (data.length < 16) return null;
+      offset = 16;
+      etherType = data.readUInt16BE(14);
+      break;
+    case LINKTYPE_LINUX_SLL2:
+      if (data.length < 20) return null;
+      offset = 20;
+      etherType = data.readUInt16BE(0);
+      break;
+    case LINKTYPE_NULL:
+    case LINKTYPE_LOOP: {
+      if (data.length < 4) return null;
+      // NULL stores the address family in the capturing host's byte order, LOOP in network order
+      const family = linkType === LINKTYPE_LOOP || data.readUInt32LE(0) > 0xffff
+        ? data.readUInt32BE(0)
+        : data.readUInt32LE(0);
+      return family === 2 || [10, 24, 28, 30].includes(family) ? data.subarray(4) : null;
+    }
+    case LINKTYPE_RAW:
+    case LINKTYPE_IPV4:
+    case LINKTYPE_IPV6:
+      return data;
+    default:
+      return LINKTYPE_RAW_ALIASES.includes(linkType) ? data : null;
+  }
+
+  return etherType === ETHERTYPE_IPV4 || etherType === ETHERTYPE_IPV6 ? data.subarray(offset) : null;
+}
+
+/**
+ * Format an IPv6 address
+ * @param {Buffer} bytes - 16 address bytes
+ * @returns {string} Compressed IPv6 address
+ */
+export function formatIPv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push(bytes.readUInt16BE(i).toString(16));
+
+  // Compress the longest run of zero groups
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === '0') length++;
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+  if (bestStart < 0) return groups.join(':');
+  return `${groups.slice(0, bestStart).join(':')}::${groups.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Parse an IPv4 or IPv6 header
+ * @param {Buffer} data - IP packet
+ * @returns {Object|null} Addresses, protocol, payload and fragment information
+ */
+export function parseIpPacket(data) {
+  if (data.length < 1) return null;
+  const version = data[0] >> 4;
+
+  if (version === 4) {
+    const headerLength = (data[0] & 0x0f) * 4;
+    if (headerLength < 20 || data.length < headerLength) return null;
+    const totalLength = Math.min(data.readUInt16BE(2) || data.length, data.length);
+    const flags = data.readUInt16BE(6);
+    return {
+      family: 4,
+      srcIp: `${data[12]}.${data[13]}.${data[14]}.${data[15]}`,
+      dstIp: `${data[16]}.${data[17]}.${data[18]}.${data[19]}`,
+      protocol: data[9],
+      id: data.readUInt16BE(4),
+      fragmentOffset: (flags & 0x1fff) * 8,
+      moreFragments: (flags & 0x2000) !== 0,
+      payload: data.subarray(headerLength, totalLength)
+    };
+  }
+
+  if (version === 6) {
+    if (data.length < 40) return null;
+    const end = Math.min(40 + data.readUInt16BE(4), data.length);
+    const packet = {
+      family: 6,
+      srcIp: formatIPv6(data.subarray(8, 24)),
+      dstIp: formatIPv6(data.subarray(24, 40)),
+      protocol: data[6],
+      id: 0,
+      fragmentOffset: 0,
+      moreFragments: false
+    };
+
+    let offset = 40;
+    while (IPV6_EXTENSION_HEADERS.includes(packet.protocol) || packet.protocol === IPV6_FRAGMENT_HEADER) {
+      if (end < offset + 8) return null;
+      if (packet.protocol === IPV6_FRAGMENT_HEADER) {
+        const flags = data.readUInt16BE(offset + 2);
+        packet.fragmentOffset = flags & 0xfff8;
+        packet.moreFragments = (flags & 1) !== 0;
+        packet.id = data.readUInt32BE(offset + 4);
+        packet.protocol = data[offset];
+        offset += 8;
+      } else {
+        packet.protocol = data[offset];
+        offset += (data[offset + 1] + 1) * 8;
+      }
+    }
+
+    if (end < offset) return null;
+    packet.payload = data.subarray(offset, end);
+    return packet;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a payload starts like a SIP message
+ * @param {Buffer} data - Payload
+ * @returns {boolean} True for a SIP request or response
+ */
+export function isSipMessage(data) {
+  return SIP_START_LINE.test(data.toString('latin1', 0, Math.min(data.length, 256)));
+}
+
+/**
+ * Convert a compound RTCP packet into the JSON report format of heplify
+ * @param {Buffer} data - RTCP packet
+ * @returns {string|null} JSON report, or null if the packet holds no sender or receiver report
+ */
+export function rtcpToJson(data) {
+  let offset = 0;
+
+  while (offset + 8 <= data.length) {
+    const version = data[offset] >> 6;
+    const count = data[offset] & 0x1f;
+    const type = data[offset + 1];
+    const length = (data.readUInt16BE(offset + 2) + 1) * 4;
+    if (version !== 2 || offset + length > data.length) return null;
+
+    if (type === 200 || type === 201) {
+      const report = {
+        type,
+        ssrc: data.readUInt32BE(offset + 4),
+        report_count: count,
+        report_blocks: []
+      };
+      let blockOffset = offset + 8;
+
+      if (type === 200) {
+        if (length < 28) return null;
+        report.sender_information = {
+          ntp_timestamp_sec: data.readUInt32BE(offset + 8),
+          ntp_timestamp_usec: data.readUInt32BE(offset + 12),
+          rtp_timestamp: data.readUInt32BE(offset + 16),
+          packets: data.readUInt32BE(offset + 20),
+          octets: data.readUInt32BE(offset + 24)
+        };
+        blockOffset = offset + 28;
+      }
+
+      for (let i = 0; i < count && blockOffset + 24 <= offset + length; i++, blockOffset += 24) {
+        // Cumulative loss is a signed 24-bit value
+        const lost = data.readUIntBE(blockOffset + 5, 3);
+        report.report_blocks.push({
+          source_ssrc: data.readUInt32BE(blockOffset),
+          fraction_lost: data[blockOffset + 4],
+          packets_lost: lost & 0x800000 ? lost - 0x1000000 : lost,
+          highest_seq_no: data.readUInt32BE(blockOffset + 8),
+          ia_jitter: data.readUInt32BE(blockOffset + 12),
+          lsr: data.readUInt32BE(blockOffset + 16),
+          dlsr: data.readUInt32BE(blockOffset + 20)
+        });
+      }
+
+      return JSON.stringify(report);
+    }
+
+    offset += length;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a payload looks like RTCP (version 2, known report type)
+ * @param {Buffer} data - Payload
+ * @returns {boolean} True for an RTCP packet
+ */
+export function isRtcpPacket(data) {
+  return data.length >= 8 && data[0] >> 6 === 2 && data[1] >= 200 && data[1] <= 207;
+}
+
+/**
+ * Signed difference of two TCP sequence numbers
+ * @param {number} a - Sequence number
+ * @param {number} b - Sequence number
+ * @returns {number} a - b, accounting for wrap-around
+ */
+function sequenceDiff(a, b) {
+  return (a - b) | 0;
+}
+
+class HepPcapDecoder {
+  /**
+   * @param {Object} options - Decoder options
+   * @param {number} options.maxFragments - Fragmented datagrams being reassembled at once
+   * @param {number} options.maxStreams - TCP streams being reassembled at once
+   * @param {number} options.maxStreamBuffer - Bytes buffered per TCP stream before it is reset
+   * @param {number} options.maxOutOfOrder - Out-of-order segments held per TCP stream
+   */
+  constructor(options = {}) {
+    this.maxFragments = options.maxFragments || 10000;
+    this.maxStreams = options.maxStreams || 10000;
+    this.maxStreamBuffer = options.maxStreamBuffer || 1024 * 1024;
+    this.maxOutOfOrder = options.maxOutOfOrder || 64;
+
+    // Partial datagrams and TCP streams; Map order makes the first entry the oldest
+    this.fragments = new Map();
+    this.streams = new Map();
+
+    // Statistics
+    this.stats = {
+      framesRead: 0,
+      framesSkipped: 0,
+      fragmentsReassembled: 0,
+      fragmentsDropped: 0,
+      tcpStreams: 0,
+      tcpBytesDropped: 0,
+      sipMessages: 0,
+      rtcpReports: 0,
+      hepPackets: 0
+    };
+  }
+
+  /**
+   * Decode a frame read from a capture file
+   * @param {Object} frame - Frame from readCaptureFile()
+   * @returns {Array<Object>} Messages: `{ rcinfo, payload }` for SIP and RTCP,
+   *   `{ hep }` for HEP packets found in the capture
+   */
+  decode(frame) {
+    this.stats.framesRead++;
+
+    const ipData = unwrapLinkLayer(frame.linkType, frame.data);
+    let ip = ipData ? parseIpPacket(ipData) : null;
+    if (ip && (ip.moreFragments || ip.fragmentOffset > 0)) {
+      ip = this.reassemble(ip);
+      if (!ip) return [];
+    }
+
+    if (ip && ip.protocol === PROTO_UDP && ip.payload.length >= 8) {
+      return this.decodeUdp(ip, frame);
+    }
+    if (ip && ip.protocol === PROTO_TCP && ip.payload.length >= 20) {
+      return this.decodeTcp(ip, frame);
+    }
+
+    this.stats.framesSkipped++;
+    return [];
+  }
+
+  /**
+   * Collect the fragments of a datagram
+   * @param {Object} fragment - Parsed IP fragment
+   * @returns {Object|null} The reassembled packet, or null while fragments are missing
+   */
+  reassemble(fragment) {
+    const key = `${fragment.srcIp}|${fragment.dstIp}|${fragment.protocol}|${fragment.id}`;
+    let entry = this.fragments.get(key);
+
+    if (!entry) {
+      if (this.fragments.size >= this.maxFragments) {
+        // Give up on the oldest datagram
+        this.fragments.delete(this.fragments.keys().next().value);
+        this.stats.fragmentsDropped++;
+      }
+      entry = { parts: [], totalLength: null };
+      this.fragments.set(key, entry);
+    }
+
+    entry.parts.push({ offset: fragment.fragmentOffset, data: fragment.payload });
+    if (!fragment.moreFragments) {
+      entry.totalLength = fragment.fragmentOffset + fragment.payload.length;
+    }
+    if (entry.totalLength === null) return null;
+
+    // Complete once the parts cover the datagram without gaps
+    entry.parts.sort((a, b) => a.offset - b.offset);
+    let covered = 0;
+    for (const part of entry.parts) {
+      if (part.offset > covered) return null;
+      covered = Math.max(covered, part.offset + part.data.length);
+    }
+    if (covered < entry.totalLength) return null;
+
+    const payload = Buffer.alloc(entry.totalLength);
+    for (const part of entry.parts) {
+      part.data.copy(payload, part.offset, 0, Math.min(part.data.length, entry.totalLength - part.offset));
+    }
+    this.fragments.delete(key);
+    this.stats.fragmentsReassembled++;
+
+    return { ...fragment, fragmentOffset: 0, moreFragments: false, payload };
+  }
+
+  /**
+   * Decode a UDP datagram
+   * @param {Object} ip - Parsed IP packet
+   * @param {Object} frame - Frame the packet came from
+   * @returns {Array<Object>} Messages found in the datagram
+   */
+  decodeUdp(ip, frame) {
+    const udp = ip.payload;
+    const srcPort = udp.readUInt16BE(0);
+    const dstPort = udp.readUInt16BE(2);
+    const payload = udp.subarray(8, Math.max(Math.min(udp.readUInt16BE(4), udp.length), 8));
+
+    // Packets already encapsulated by an agent go through as they are
+    if (payload.length >= 6 && payload.toString('latin1', 0, 4) === 'HEP3') {
+      this.stats.hepPackets++;
+      return [{ hep: payload }];
+    }
+
+    if (isSipMessage(payload)) {
+      this.stats.sipMessages++;
+      return [this.createMessage(ip, srcPort, dstPort, PROTO_UDP, frame, PAYLOAD_TYPE_SIP, payload.toString('utf8'))];
+    }
+
+    if (isRtcpPacket(payload)) {
+      const report = rtcpToJson(payload);
+      if (report) {
+        this.stats.rtcpReports++;
+        return [this.createMessage(ip, srcPort, dstPort, PROTO_UDP, frame, PAYLOAD_TYPE_RTCP, report)];
+      }
+    }
+
+    this.stats.framesSkipped++;
+    return [];
+  }
+
+  /**
+   * Decode a TCP segment, reassembling the stream it belongs to
+   * @param {Object} ip - Parsed IP packet
+   * @param {Object} frame - Frame the packet came from
+   * @returns {Array<Object>} SIP messages completed by the segment
+   */
+  decodeTcp(ip, frame) {
+    const tcp = ip.payload;
+    const srcPort = tcp.readUInt16BE(0);
+    const dstPort = tcp.readUInt16BE(2);
+    const sequence = tcp.readUInt32BE(4);
+    const flags = tcp[13];
+    const headerLength = (tcp[12] >> 4) * 4;
+    const payload = tcp.subarray(Math.min(headerLength, tcp.length));
+    const syn = (flags & 0x02) !== 0;
+    const fin = (flags & 0x01) !== 0;
+    const rst = (flags & 0x04) !== 0;
+
+    const key = `${ip.srcIp}|${srcPort}|${ip.dstIp}|${dstPort}`;
+    let stream = this.streams.get(key);
+
+    if (syn || (!stream && payload.length > 0)) {
+      if (!stream && this.streams.size >= this.maxStreams) {
+        this.dropStream(this.streams.keys().next().value);
+      }
+      // The SYN takes up one sequence number; a stream seen mid-way starts at its first segment
+      stream = { nextSequence: syn ? (sequence + 1) >>> 0 : sequence, data: Buffer.alloc(0), pending: new Map(), ignored: false };
+      this.streams.set(key, stream);
+      this.stats.tcpStreams++;
+    }
+
+    const messages = [];
+    if (stream && payload.length > 0 && !stream.ignored) {
+      this.addSegment(stream, sequence, payload);
+      for (const message of this.extractSipMessages(stream)) {
+        this.stats.sipMessages++;
+        messages.push(this.createMessage(ip, srcPort, dstPort, PROTO_TCP, frame, PAYLOAD_TYPE_SIP, message));
+      }
+    }
+
+    if (stream && (fin || rst)) {
+      this.dropStream(key);
+    }
+    return messages;
+  }
+
+  /**
+   * Add a segment to a stream, in sequence order
+   * @param {Object} stream - Stream state
+   * @param {number} sequence - Sequence number of the segment
+   * @param {Buffer} payload - Segment data
+   */
+  addSegment(stream, sequence, payload) {
+    const offset = sequenceDiff(stream.nextSequence, sequence);
+
+    if (offset < 0) {
+      // A gap: hold the segment until the missing data arrives
+      stream.pending.set(sequence, payload);
+      if (stream.pending.size <= this.maxOutOfOrder) return;
+
+      // The missing data is lost; continue from the earliest held segment
+      const earliest = [...stream.pending.keys()].sort((a, b) => sequenceDiff(a, b))[0];
+      this.stats.tcpBytesDropped += stream.data.length;
+      stream.data = Buffer.alloc(0);
+      stream.nextSequence = earliest;
+    } else if (offset < payload.length) {
+      // New data, possibly overlapping what was already received
+      this.appendData(stream, payload.subarray(offset));
+    }
+
+    // Append held segments that now fit
+    let progress = true;
+    while (progress && stream.pending.size > 0) {
+      progress = false;
+      for (const [heldSequence, held] of stream.pending) {
+        const heldOffset = sequenceDiff(stream.nextSequence, heldSequence);
+        if (heldOffset < 0) continue;
+        stream.pending.delete(heldSequence);
+        if (heldOffset < held.length) this.appendData(stream, held.subarray(heldOffset));
+        progress = true;
+      }
+    }
+  }
+
+  /**
+   * Append in-order data to a stream
+   * @param {Object} stream - Stream state
+   * @param {Buffer} data - Data following what the stream already holds
+   */
+  appendData(stream, data) {
+    stream.nextSequence = (stream.nextSequence + data.length) >>> 0;
+    stream.data = stream.data.length > 0 ? Buffer.concat([stream.data, data]) : Buffer.from(data);
+
+    if (stream.data.length > this.maxStreamBuffer) {
+      this.stats.tcpBytesDropped += stream.data.length;
+      stream.data = Buffer.alloc(0);
+    }
+  }
+
+  /**
+   * Split the complete SIP messages off the front of a stream
+   * @param {Object} stream - Stream state
+   * @returns {Array<string>} SIP messages
+   */
+  extractSipMessages(stream) {
+    const messages = [];
+
+    while (stream.data.length > 0) {
+      // Keep-alive CRLFs between messages
+      let start = 0;
+      while (start < stream.data.length && (stream.data[start] === 0x0d || stream.data[start] === 0x0a)) start++;
+      stream.data = stream.data.subarray(start);
+      if (stream.data.length === 0) break;
+
+      const headEnd = stream.data.indexOf('\r\n\r\n');
+      if (headEnd < 0) {
+        // A stream that does not start with SIP never will
+        if (stream.data.length >= 256 && !isSipMessage(stream.data)) this.ignoreStream(stream);
+        break;
+      }
+      if (!isSipMessage(stream.data)) {
+        this.ignoreStream(stream);
+        break;
+      }
+
+      const head = stream.data.toString('latin1', 0, headEnd);
+      const match = head.match(CONTENT_LENGTH);
+      const length = headEnd + 4 + (match ? parseInt(match[1], 10) : 0);
+      if (stream.data.length < length) break;
+
+      messages.push(stream.data.toString('utf8', 0, length));
+      stream.data = stream.data.subarray(length);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Stop reassembling a stream that does not carry SIP
+   * @param {Object} stream - Stream state
+   */
+  ignoreStream(stream) {
+    this.stats.tcpBytesDropped += stream.data.length;
+    stream.ignored = true;
+    stream.data = Buffer.alloc(0);
+    stream.pending.clear();
+  }
+
+  /**
+   * Forget a stream, counting the data left in it
+   * @param {string} key - Stream key
+   */
+  dropStream(key) {
+    const stream = this.streams.get(key);
+    if (!stream) return;
+    this.stats.tcpBytesDropped += stream.data.length;
+    for (const held of stream.pending.values()) this.stats.tcpBytesDropped += held.length;
+    this.streams.delete(key);
+  }
+
+  /**
+   * Build a message with the HEP header fields taken from the packet headers
+   * @param {Object} ip - Parsed IP packet
+   * @param {number} srcPort - Source port
+   * @param {number} dstPort - Destination port
+   * @param {number} protocol - Transport protocol number
+   * @param {Object} frame - Frame the packet came from, for the capture time
+   * @param {number} payloadType - HEP payload type
+   * @param {string} payload - Message
+   * @returns {Object} `{ rcinfo, payload }`
+   */
+  createMessage(ip, srcPort, dstPort, protocol, frame, payloadType, payload) {
+    return {
+      rcinfo: {
+        protocolFamily: ip.family === 6 ? 10 : 2,
+        protocol,
+        srcIp: ip.srcIp,
+        dstIp: ip.dstIp,
+        srcPort,
+        dstPort,
+        timeSeconds: frame.seconds,
+        timeUseconds: frame.useconds,
+        payloadType
+      },
+      payload
+    };
+  }
+
+  /**
+   * Get decoder statistics
+   * @returns {Object} Decoder statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pendingFragments: this.fragments.size,
+      openStreams: this.streams.size
+    };
+  }
+}
+
+// Function to create a new capture decoder
+export function createHepPcapDecoder(options) {
+  return new HepPcapDecoder(options);
+}
+
+export default HepPcapDecoder;
@@ -7,6 +7,12 @@
 
 import hepjs from 'hep-js';
 import { getSIP } from 'parsip';
+import { defaultDecoders } from './hep-decoders.js';
+import { findSdpBody, extractSdpFields } from './hep-sdp.js';
+import { isLegacyHep, decodeLegacyHep } from './hep-legacy.js';
+import HepSchemaMapper from './hep-schema.js';
+import { nowNs, hepTimestampNs } from './hep-clock.js';
+import { defaultSerializers, lineProtocolSerializer, typeRecord, escapeKey, escapeTagValue, escapeFieldValue } from './hep-serializers.js';
 
 class HepToLineProtocolConverter {
   constructor() {
@@ -21,6 +27,26 @@ class HepToLineProtocolConverter {
     ];
     // Whether to include parsed values in addition to raw values
     this.includeParsedValues = false;
+    // Whether to parse SDP bodies into media fields
+    this.parseSdp = true;
+    // Whether to store the agent's capture password as a tag
+    this.storeCapturePass = false;
+    // Redactor applied to payloads and extracted SIP fields
+    this.redactor = null;
+    // Measurement naming and tag/field layout of the records
+    this.schema = new HepSchemaMapper();
+    // Callbacks receiving every parsed SIP message
+    this.sipListeners = [];
+    // Payload decoders by HEP payload type
+    this.decoders = new Map();
+    for (const [type, decoder] of Object.entries(defaultDecoders)) {
+      this.registerDecoder(Number(type), decoder);
+    }
+    // Record serializers by format name
+    this.serializers = new Map();
+    for (const [format, serializer] of Object.entries(defaultSerializers)) {
+      this.registerSerializer(format, serializer);
+    }
   }
 
   /**
@@ -50,6 +76,181 @@ class HepToLineProtocolConverter {
     this.includeParsedValues = !!include;
   }
 
+  /**
+   * Set whether SDP bodies should be parsed into media fields
+   * @param {boolean} enable - Whether to parse SDP
+   */
+  setParseSdp(enable) {
+    this.parseSdp = !!enable;
+  }
+
+  /**
+   * Set whether the capture password is stored in the capture_pass tag
+   * @param {boolean} enable - Whether to store the password
+   */
+  setStoreCapturePass(enable) {
+    this.storeCapturePass = !!enable;
+  }
+
+  /**
+   * Set the redactor applied to stored payloads and SIP header fields
+   * @param {HepRedactor|null} redactor - Redactor, or null to store everything as received
+   */
+  setRedactor(redactor) {
+    this.redactor = redactor && redactor.isEnabled() ? redactor : null;
+  }
+
+  /**
+   * Set the schema mapping: measurement naming, tags vs fields, column names and types
+   * @param {Object|HepSchemaMapper} schema - Mapping, see hep-schema.js; empty for the default layout
+   */
+  setSchema(schema) {
+    this.schema = schema instanceof HepSchemaMapper ? schema : new HepSchemaMapper(schema || {});
+  }
+
+  /**
+   * Apply the schema mapping to a record, such as one built outside the converter,
+   * and give every field a type
+   * @param {Object} record - Record with measurement, tags, fields, timestamp and types
+   * @returns {Object} Mapped and typed record
+   */
+  mapRecord(record) {
+    return typeRecord(this.schema.apply(record));
+  }
+
+  /**
+   * Register a callback for every SIP message the converter parses.
+   * It is called as `listener(message, header)` with the summary built by summarizeSip().
+   * @param {Function} listener - Callback
+   */
+  addSipListener(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('SIP listener must be a function');
+    }
+    this.sipListeners.push(listener);
+  }
+
+  /**
+   * Pass a SIP message summary to every SIP listener
+   * @param {Object} message - Summary built by summarizeSip()
+   * @param {Object} header - HEP protocol header of the packet
+   */
+  notifySipListeners(message, header) {
+    for (const listener of this.sipListeners) {
+      try {
+        listener(message, header);
+      } catch (e) {
+        if (this.debug) console.error('Error in SIP listener:', e);
+      }
+    }
+  }
+
+  /**
+   * Remove a callback added with addSipListener()
+   * @param {Function} listener - Callback
+   */
+  removeSipListener(listener) {
+    this.sipListeners = this.sipListeners.filter(l => l !== listener);
+  }
+
+  /**
+   * Register a decoder for a HEP payload type, replacing any existing one.
+   * The decoder is called as `decoder(payload, { header, type, packet })` and returns
+   * `{ tags, fields, types }` (all optional) or null when it cannot decode the payload.
+   * @param {number} type - HEP payload type
+   * @param {Function} decoder - Decoder function
+   */
+  registerDecoder(type, decoder) {
+    if (!Number.isInteger(type) || type < 0) {
+      throw new Error('Decoder payload type must be a non-negative integer');
+    }
+    if (typeof decoder !== 'function') {
+      throw new Error('Decoder must be a function');
+    }
+    this.decoders.set(type, decoder);
+  }
+
+  /**
+   * Remove the decoder for a HEP payload type
+   * @param {number} type - HEP payload type
+   * @returns {boolean} True if a decoder was removed
+   */
+  unregisterDecoder(type) {
+    return this.decoders.delete(type);
+  }
+
+  /**
+   * Register a serializer for an output format, replacing any existing one.
+   * A serializer has `serialize(record)` and optionally `serializeBatch(records)`;
+   * see hep-serializers.js.
+   * @param {string} format - Format name, e.g. 'lp', 'ndjson' or 'columnar'
+   * @param {Object} serializer - Serializer
+   */
+  registerSerializer(format, serializer) {
+    if (typeof format !== 'string' || !format) {
+      throw new Error('Serializer format must be a non-empty string');
+    }
+    if (!serializer || typeof serializer.serialize !== 'function') {
+      throw new Error('Serializer must have a serialize() function');
+    }
+    this.serializers.set(format, serializer);
+  }
+
+  /**
+   * Remove the serializer for an output format
+   * @param {string} format - Format name
+   * @returns {boolean} True if a serializer was removed
+   */
+  unregisterSerializer(format) {
+    return this.serializers.delete(format);
+  }
+
+  /**
+   * Get the serializer for an output format
+   * @param {string} format - Format name
+   * @returns {Object} Serializer
+   * @throws {Error} If no serializer is registered for the format
+   */
+  getSerializer(format) {
+    const serializer = this.serializers.get(format);
+    if (!serializer) {
+      throw new Error(`Unknown output format '${format}', expected ${[...this.serializers.keys()].join(', ')}`);
+    }
+    return serializer;
+  }
+
+  /**
+   * Serialize a record
+   * @param {Object} record - Record from createRecord() or mapRecord()
+   * @param {string} format - Output format
+   * @returns {*} Serialized record, a string for 'lp' and 'ndjson'
+   */
+  serialize(record, format = 'lp') {
+    return this.getSerializer(format).serialize(record);
+  }
+
+  /**
+   * Serialize records together
+   * @param {Array<Object>} records - Records from createRecord() or mapRecord()
+   * @param {string} format - Output format
+   * @returns {*} Serialized records; newline separated unless the serializer batches itself
+   */
+  serializeBatch(records, format = 'lp') {
+    const serializer = this.getSerializer(format);
+    if (serializer.serializeBatch) return serializer.serializeBatch(records);
+    return records.map(record => serializer.serialize(record)).join('\n');
+  }
+
+  /**
+   * Decode a HEP packet and build its typed record
+   * @param {Buffer} data - Raw HEP packet data
+   * @returns {Object} Record with measurement, tags, fields, timestamp and field types
+   * @throws {Error} If the packet cannot be decoded or converted
+   */
+  convertToRecord(data) {
+    return this.createRecord(this.decodePacket(data));
+  }
+
   /**
    * Process a single HEP packet and convert it to Line Protocol format
    * @param {Buffer} data - Raw HEP packet data
@@ -57,25 +258,37 @@ class HepToLineProtocolConverter {
    */
   convertPacket(data) {
     try {
-      // Decode the HEP packet
-      const decoded = hepjs.decapsulate(data);
-      // Extract the HEP data
-      const hepData = {
-        protocol_header: decoded.rcinfo,
-        create_date: this.getHepTimestamp(decoded.rcinfo),
-        raw: decoded.payload || "",
-        // HEP proto_type is decoded as payloadType by hep-js
-        type: decoded.rcinfo.payloadType || 0
-      };
-      
       // Convert to Line Protocol
-      return this.createLineProtocol(hepData);
+      return this.createLineProtocol(this.decodePacket(data));
     } catch (error) {
       if (this.debug) console.error('Error converting HEP packet:', error);
       throw error;
     }
   }
 
+  /**
+   * Decode a HEP packet without converting it
+   * @param {Buffer} data - Raw HEP packet data
+   * @returns {Object} Decoded HEP data, as taken by createLineProtocol()
+   */
+  decodePacket(data) {
+    // Decode the HEP packet; hep-js only understands HEP3
+    const decoded = isLegacyHep(data) ? decodeLegacyHep(data) : hepjs.decapsulate(data);
+    const received = nowNs();
+    // Extract the HEP data
+    return {
+      protocol_header: decoded.rcinfo,
+      create_date: this.getHepTimestamp(decoded.rcinfo),
+      // Nanoseconds the record is stored with: capture time, or receive time without one
+      timestamp: hepTimestampNs(decoded.rcinfo) ?? received,
+      received,
+      raw: decoded.payload || "",
+      packet: data,
+      // HEP proto_type is decoded as payloadType by hep-js
+      type: decoded.rcinfo.payloadType || 0
+    };
+  }
+
   /**
    * Convert multiple HEP packets to Line Protocol format
    * @param {Array<Buffer>} packets - Array of raw HEP packet data
@@ -97,60 +310,79 @@ class HepToLineProtocolConverter {
    * Create InfluxDB Line Protocol string from HEP data
    * @param {Object} hepData - Processed HEP data
    * @returns {string} Line Protocol formatted string
+   * @throws {Error} If the record cannot be built
    */
   createLineProtocol(hepData) {
+    return this.formatLineProtocol(this.createRecord(hepData));
+  }
+
+  /**
+   * Create the typed record for a HEP packet, before it is serialized
+   * @param {Object} hepData - Processed HEP data
+   * @returns {Object} Record with measurement, tags, fields, timestamp and the type of
+   *   every field ('integer', 'float', 'string' or 'boolean')
+   */
+  createRecord(hepData) {
+    const { protocol_header, raw, type, packet } = hepData;
+    
+    // Measurement name from the naming scheme, unless a rule routed the packet elsewhere
+    const measurement = hepData.measurement || this.schema.measurementName(type, protocol_header);
+    
+    // Timestamp in nanoseconds for InfluxDB, as BigInt to keep the microseconds
+    const timestamp = hepData.timestamp ?? this.getHepTimestampNs(protocol_header);
+    
+    // Process tags from protocol_header
+    const tags = this.extractTags(protocol_header);
+    
+    // Process fields from protocol_header and raw payload
+    // Quarantined packets are stored, but never feed state built across packets; packets
+    // a worker converted were summarized there, and the caller passes that summary on
+    const fields = this.extractFields(protocol_header, raw, type, !hepData.quarantined && !hepData.converted);
+
+    // Add tags and fields from the payload decoder, if one is registered
+    const decoded = this.decodePayload(type, raw, protocol_header, packet);
+    Object.assign(tags, decoded.tags);
+    Object.assign(fields, this.redactor ? this.redactor.redactFields(decoded.fields) : decoded.fields);
+
+    return this.mapRecord({ measurement, tags, fields, timestamp, types: decoded.types });
+  }
+
+  /**
+   * Format a record as a Line Protocol string
+   * @param {Object} record - Record to format
+   * @param {string} record.measurement - Measurement name
+   * @param {Object} record.tags - Tag key-value pairs
+   * @param {Object} record.fields - Field key-value pairs
+   * @param {bigint} record.timestamp - Timestamp in nanoseconds
+   * @param {Object} record.types - Field types ('float', 'integer', ...); missing ones are inferred
+   * @returns {string} Line Protocol formatted string
+   */
+  formatLineProtocol(record) {
+    return lineProtocolSerializer.serialize(record);
+  }
+
+  /**
+   * Run the registered decoder for a payload type
+   * @param {number} type - HEP payload type
+   * @param {string} payload - Raw packet payload
+   * @param {Object} header - HEP protocol header
+   * @param {Buffer} packet - Raw HEP packet
+   * @returns {Object} Decoded tags, fields and field types (empty if nothing decoded)
+   */
+  decodePayload(type, payload, header, packet) {
+    const decoder = this.decoders.get(type);
+    if (!decoder || !payload) return { tags: {}, fields: {}, types: {} };
+
     try {
-      const { protocol_header, create_date, raw, type } = hepData;
-      
-      // Measurement name based on the payload type
-      const measurement = `hep_${type}`;
-      
-      // Extract timestamp in nanoseconds for InfluxDB
-      const timestamp = Math.floor(create_date.getTime() * 1000000); // Convert milliseconds to nanoseconds
-      
-      // Process tags from protocol_header
-      const tags = this.extractTags(protocol_header);
-      
-      // Process fields from protocol_header and raw payload
-      const fields = this.extractFields(protocol_header, raw, type);
-      
-      // Construct the line protocol string
-      // Format: <measurement>,<tag_set> <field_set> <timestamp>
-      // Make sure there are at least some tags to avoid syntax errors
-      if (Object.keys(tags).length === 0) {
-        // Add a default tag if none exist
-        tags.source = 'hep';
-      }
-      
-      const tagString = Object.entries(tags)
-        .map(([key, value]) => `${this.escapeKey(key)}=${this.escapeTagValue(value)}`)
-        .join(',');
-      
-      const fieldString = Object.entries(fields)
-        .map(([key, value]) => {
-          // Handle different field types
-          if (typeof value === 'string') {
-            return `${this.escapeKey(key)}="${this.escapeFieldValue(value)}"`;
-          } else if (typeof value === 'number') {
-            // Use integer notation for integers, float notation for floats
-            return `${this.escapeKey(key)}=${Number.isInteger(value) ? `${value}i` : value}`;
-          } else if (typeof value === 'boolean') {
-            return `${this.escapeKey(key)}=${value}`;
-          } else if (value === null || value === undefined) {
-            return null; // Skip null/undefined values
-          } else {
-            // Convert objects to JSON strings
-            return `${this.escapeKey(key)}="${this.escapeFieldValue(JSON.stringify(value))}"`;
-          }
-        })
-        .filter(Boolean) // Remove nulls
-        .join(',');
-      
-      // Construct the final line
-      return `${measurement},${tagString} ${fieldString} ${timestamp}`;
-    } catch (error) {
-      if (this.debug) console.error('Error creating Line Protocol:', error);
-      return ''; // Return empty string on error
+      const decoded = decoder(payload, { header, type, packet }) || {};
+      return {
+        tags: decoded.tags || {},
+        fields: decoded.fields || {},
+        types: decoded.types || {}
+      };
+    } catch (e) {
+      if (this.debug) console.error(`Error decoding payload type ${type}:`, e);
+      return { tags: {}, fields: {}, types: {} };
     }
   }
 
@@ -164,7 +396,7 @@ class HepToLineProtocolConverter {
     
     // Extract common tags from protocol header
     if (header.captureId) tags.capture_id = header.captureId;
-    if (header.capturePass) tags.capture_pass = header.capturePass;
+    if (header.capturePass && this.storeCapturePass) tags.capture_pass = header.capturePass;
     if (header.srcIp) tags.src_ip = header.srcIp;
     if (header.dstIp) tags.dst_ip = header.dstIp;
     if (header.srcPort) tags.src_port = header.srcPort;
@@ -198,14 +430,25 @@ class HepToLineProtocolConverter {
     }
   }
 
+  /**
+   * Apply the redactor to an extracted SIP header value
+   * @param {string} name - Header name
+   * @param {string} value - Header value
+   * @returns {string|null} Value to store, or null if the header must not be stored
+   */
+  redactHeader(name, value) {
+    return this.redactor ? this.redactor.redactHeader(name, value) : value;
+  }
+
   /**
    * Extract fields from HEP protocol header and payload
    * @param {Object} header - HEP protocol header
    * @param {string} payload - Raw packet payload
    * @param {number} type - HEP payload type
+   * @param {boolean} notify - Whether to pass SIP messages to the SIP listeners
    * @returns {Object} Field key-value pairs
    */
-  extractFields(header, payload, type) {
+  extractFields(header, payload, type, notify = true) {
     const fields = {
       create_date: this.getHepTimestamp(header).getTime(),
       time_sec: parseInt(header.timeSeconds, 10),
@@ -213,7 +456,8 @@ class HepToLineProtocolConverter {
     };
     
     if (payload) {
-      fields.payload = payload.replace(/\r\n|\n|\r/g, '\\r\\n');
+      const stored = this.redactor ? this.redactor.redactPayload(payload, type) : payload;
+      if (stored !== null) fields.payload = stored.replace(/\r\n|\n|\r/g, '\\r\\n');
       fields.payload_size = payload.length;
     }
 
@@ -234,14 +478,17 @@ class HepToLineProtocolConverter {
         fields.method = String(sipData.status);
       }
 
-      // Process only configured headers
+      // Process only configured headers; configured names are lowercased, parsip keeps the case
+      const headerKeys = Object.keys(sipData.headers || {});
       for (const headerName of this.sipHeaders) {
-        const headerValue = sipData.headers[headerName];
+        const headerKey = headerKeys.find(key => key.toLowerCase() === headerName.toLowerCase());
+        const headerValue = headerKey && sipData.headers[headerKey];
         if (!headerValue) continue;
 
         // Handle both raw and parsed values
         if (typeof headerValue === 'object' && headerValue.raw !== undefined) {
-          const rawValue = String(headerValue.raw).trim();
+          const rawValue = this.redactHeader(headerName, String(headerValue.raw).trim());
+          if (rawValue === null) continue;
           
           // Special handling for From and To headers
           if (headerName.toLowerCase() === 'from' || headerName.toLowerCase() === 'to') {
@@ -250,14 +497,15 @@ class HepToLineProtocolConverter {
           
           fields[`sip_${headerName.toLowerCase()}`] = rawValue;
           
-          // Optionally include parsed value if configured
-          if (this.includeParsedValues && headerValue.parsed) {
+          // Optionally include parsed value if configured; it repeats the raw value, so not when redacting
+          if (this.includeParsedValues && headerValue.parsed && !this.redactor) {
             fields[`sip_${headerName.toLowerCase()}_parsed`] = JSON.stringify(headerValue.parsed);
           }
         } else {
           // Handle direct string values
           const value = Array.isArray(headerValue) ? headerValue[0] : headerValue;
-          const stringValue = String(value.raw).trim();
+          const stringValue = this.redactHeader(headerName, String(value.raw).trim());
+          if (stringValue === null) continue;
           // Special handling for From and To headers
           if (headerName.toLowerCase() === 'from' || headerName.toLowerCase() === 'to') {
             fields[`${headerName.toLowerCase()}_user`] = this.extractUserFromUri(stringValue);
@@ -266,6 +514,20 @@ class HepToLineProtocolConverter {
           fields[`sip_${headerName.toLowerCase()}`] = stringValue;
         }
       }
+
+      // Hand the message to trackers that follow SIP state across packets
+      if (notify && this.sipListeners.length > 0) {
+        this.notifySipListeners(this.summarizeSip(sipData), header);
+      }
+
+      // Media description from INVITE/200 OK (and any other message carrying SDP)
+      if (this.parseSdp && sipData.body) {
+        const contentType = this.getSipHeaderValue(sipData.headers, 'Content-Type');
+        const sdpBody = findSdpBody(sipData.body, contentType);
+        if (sdpBody) {
+          Object.assign(fields, extractSdpFields(sdpBody, sipData.status_code !== undefined));
+        }
+      }
     } catch (e) {
       if (this.debug) console.error('Error parsing SIP payload:', e);
     }
@@ -273,17 +535,80 @@ class HepToLineProtocolConverter {
     return fields;
   }
 
+  /**
+   * Summarize a parsed SIP message into the values trackers need
+   * @param {Object} sipData - Message parsed by parsip
+   * @returns {Object} Message summary
+   */
+  summarizeSip(sipData) {
+    const headers = sipData.headers || {};
+    const uriOf = (name) => {
+      const key = Object.keys(headers).find(h => h.toLowerCase() === name);
+      const value = key && (Array.isArray(headers[key]) ? headers[key][0] : headers[key]);
+      const parsed = value && value.parsed;
+      return parsed && parsed.uri ? parsed.uri : {};
+    };
+    const aorOf = (uri) => uri.host ? (uri.user ? `${uri.user}@${uri.host}` : uri.host) : undefined;
+    const fromUri = uriOf('from');
+    const toUri = uriOf('to');
+    const expires = parseInt(this.getSipHeaderValue(headers, 'Expires'), 10);
+    const isResponse = sipData.status_code !== undefined;
+
+    return {
+      isRequest: !isResponse,
+      method: isResponse ? undefined : sipData.method,
+      statusCode: isResponse ? parseInt(sipData.status_code, 10) : undefined,
+      reason: sipData.reason_phrase,
+      callId: sipData.call_id,
+      cseq: sipData.cseq,
+      // For responses parsip reports the CSeq method as the method
+      cseqMethod: sipData.method,
+      fromTag: sipData.from_tag,
+      toTag: sipData.to_tag,
+      fromUser: fromUri.user,
+      toUser: toUri.user,
+      fromAor: aorOf(fromUri),
+      toAor: aorOf(toUri),
+      contact: this.getSipHeaderValue(headers, 'Contact') || undefined,
+      expires: Number.isNaN(expires) ? undefined : expires,
+      userAgent: this.getSipHeaderValue(headers, 'User-Agent') || undefined,
+      // Digest credentials, sent in answer to a challenge
+      hasCredentials: !isResponse &&
+        !!(this.getSipHeaderValue(headers, 'Authorization') || this.getSipHeaderValue(headers, 'Proxy-Authorization')),
+      headers
+    };
+  }
+
+  /**
+   * Get the raw value of a SIP header, matching the name case-insensitively
+   * @param {Object} headers - Headers parsed by parsip
+   * @param {string} name - Header name
+   * @returns {string} Header value, or '' if absent
+   */
+  getSipHeaderValue(headers, name) {
+    const key = Object.keys(headers).find(h => h.toLowerCase() === name.toLowerCase());
+    if (!key) return '';
+    const value = Array.isArray(headers[key]) ? headers[key][0] : headers[key];
+    if (value && typeof value === 'object') return String(value.raw || '').trim();
+    return String(value || '').trim();
+  }
+
   /**
    * Get timestamp from HEP protocol header
    * @param {Object} rcinfo - HEP protocol header
    * @returns {Date} Timestamp as a Date object
    */
   getHepTimestamp(rcinfo) {
-    if (!rcinfo.timeSeconds) return new Date();
-    return new Date(
-      (rcinfo.timeSeconds * 1000) + 
-      (((100000 + rcinfo.timeUseconds) / 1000) - 100)
-    );
+    return new Date(Number(this.getHepTimestampNs(rcinfo) / 1000000n));
+  }
+
+  /**
+   * Get the capture time from HEP protocol header in nanoseconds
+   * @param {Object} rcinfo - HEP protocol header
+   * @returns {bigint} Nanoseconds since the epoch; the current time if the header has none
+   */
+  getHepTimestampNs(rcinfo) {
+    return hepTimestampNs(rcinfo) ?? nowNs();
   }
 
   /**
@@ -292,8 +617,7 @@ class HepToLineProtocolConverter {
    * @returns {string} Escaped key name
    */
   escapeKey(key) {
-    if (typeof key !== 'string') return key;
-    return key.replace(/[ ,=]/g, '\\$&');
+    return escapeKey(key);
   }
 
   /**
@@ -302,8 +626,7 @@ class HepToLineProtocolConverter {
    * @returns {string} Escaped tag value
    */
   escapeTagValue(value) {
-    if (value === null || value === undefined) return '';
-    return String(value).replace(/[ ,=]/g, '\\$&');
+    return escapeTagValue(value);
   }
 
   /**
@@ -312,11 +635,7 @@ class HepToLineProtocolConverter {
    * @returns {string} Escaped field value
    */
   escapeFieldValue(value) {
-    if (value === null || value === undefined) return '';
-    // Replace newlines with \r\n and escape quotes and backslashes
-    return String(value)
-      .replace(/\r\n|\n|\r/g, '\\r\\n')
-      .replace(/["\\]/g, '\\$&');
+    return escapeFieldValue(value);
   }
 }
 
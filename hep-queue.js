@@ -0,0 +1,316 @@
+/**
+ * HEP Write Queue
+ *
+ * Ordered queue of Line Protocol batches waiting to be written to GigAPI.
+ * Batches are kept in memory up to a record limit; beyond that they spill to
+ * numbered files in a write-ahead directory, which are replayed in order on restart.
+ * A batch bound for a database other than the default carries it in its file name.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const SEGMENT_EXTENSION = '.lp';
+
+class HepWriteQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {string} options.dir - Directory for spilled batches
+   * @param {number} options.maxMemoryRecords - Records held in memory before spilling
+   * @param {number} options.maxDiskBytes - Bytes allowed on disk before dropping
+   * @param {boolean} options.spillToDisk - Whether to spill to disk at all
+   * @param {string} options.dropPolicy - 'oldest' or 'newest', applied when full
+   * @param {boolean} options.debug - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.maxMemoryRecords = options.maxMemoryRecords || 10000;
+    this.maxDiskBytes = options.maxDiskBytes || 512 * 1024 * 1024;
+    this.spillToDisk = options.spillToDisk !== false && !!this.dir;
+    this.dropPolicy = options.dropPolicy === 'newest' ? 'newest' : 'oldest';
+    this.debug = !!options.debug;
+
+    // Memory batches are always older than disk batches, so order is kept
+    this.memory = [];
+    this.disk = [];
+    this.memoryRecords = 0;
+    this.diskBytes = 0;
+    this.sequence = 0;
+    this.inFlight = null;
+
+    // Serializes every queue mutation, since disk operations are async
+    this.lock = Promise.resolve();
+
+    // Statistics
+    this.stats = {
+      batchesSpilled: 0,
+      batchesReplayed: 0,
+      batchesDropped: 0,
+      recordsDropped: 0
+    };
+  }
+
+  /**
+   * Run a queue operation after every previously scheduled one
+   * @param {Function} operation - Async operation
+   * @returns {Promise<*>} Result of the operation
+   */
+  serialize(operation) {
+    const result = this.lock.then(operation);
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Open the queue and pick up batches left on disk by a previous run
+   */
+  async open() {
+    if (!this.spillToDisk) return;
+
+    return this.serialize(async () => {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+
+      const files = (await fs.promises.readdir(this.dir))
+        .filter(file => file.endsWith(SEGMENT_EXTENSION))
+        .sort();
+
+      for (const file of files) {
+        const filePath = path.join(this.dir, file);
+        const { size } = await fs.promises.stat(filePath);
+        const data = await fs.promises.readFile(filePath, 'utf8');
+        const seq = parseInt(file, 10);
+        const database = this.parseDatabase(file);
+
+        this.disk.push({ seq, database, file: filePath, bytes: size, count: data.split('\n').length });
+        this.diskBytes += size;
+        this.sequence = Math.max(this.sequence, seq + 1);
+      }
+
+      this.stats.batchesReplayed += this.disk.length;
+      if (this.disk.length > 0) {
+        console.log(`Replaying ${this.disk.length} queued batches from ${this.dir}`);
+      }
+
+      await this.refill();
+    });
+  }
+
+  /**
+   * Add a batch to the tail of the queue
+   * @param {Object} batch - Batch to queue
+   * @param {string} batch.data - Line Protocol data
+   * @param {number} batch.count - Number of records in the batch
+   * @param {string} batch.database - Target database, if not the default
+   */
+  async push(batch) {
+    return this.serialize(async () => {
+      const entry = { ...batch, seq: this.sequence++ };
+
+      while (!this.fits(entry)) {
+        if (this.dropPolicy === 'newest' || !(await this.dropOldest())) {
+          this.recordDrop(entry);
+          return;
+        }
+        await this.refill();
+      }
+
+      if (this.fitsInMemory(entry)) {
+        this.memory.push(entry);
+        this.memoryRecords += entry.count;
+      } else {
+        await this.spill(entry);
+      }
+    });
+  }
+
+  /**
+   * Get the oldest batch and mark it as being written
+   * @returns {Promise<Object|null>} Oldest batch, or null when the queue is empty
+   */
+  async peek() {
+    return this.serialize(async () => {
+      if (this.memory.length === 0) await this.refill();
+      this.inFlight = this.memory[0] || null;
+      return this.inFlight;
+    });
+  }
+
+  /**
+   * Remove a batch once it has been written (or rejected for good)
+   * @param {Object} batch - Batch returned by peek()
+   */
+  async remove(batch) {
+    return this.serialize(async () => {
+      const index = this.memory.indexOf(batch);
+      if (index !== -1) {
+        this.memory.splice(index, 1);
+        this.memoryRecords -= batch.count;
+      }
+      if (batch.file) await this.unlinkSegment(batch);
+      if (this.inFlight === batch) this.inFlight = null;
+      await this.refill();
+    });
+  }
+
+  /**
+   * Persist every in-memory batch so it is replayed on the next start
+   */
+  async close() {
+    if (!this.spillToDisk) return;
+
+    return this.serialize(async () => {
+      for (const entry of this.memory) {
+        if (!entry.file) await this.writeSegment(entry);
+      }
+      if (this.debug && this.memory.length > 0) {
+        console.log(`Persisted ${this.memory.length} queued batches to ${this.dir}`);
+      }
+      this.memory = [];
+      this.memoryRecords = 0;
+    });
+  }
+
+  /**
+   * Check whether a batch can be queued without exceeding limits
+   * @param {Object} entry - Batch to check
+   * @returns {boolean} True if the batch fits in memory or on disk
+   */
+  fits(entry) {
+    if (this.fitsInMemory(entry)) return true;
+    return this.spillToDisk && this.diskBytes + Buffer.byteLength(entry.data) <= this.maxDiskBytes;
+  }
+
+  /**
+   * Check whether a batch can be kept in memory; an empty queue always takes one
+   * @param {Object} entry - Batch to check
+   * @returns {boolean} True if the batch belongs in memory
+   */
+  fitsInMemory(entry) {
+    if (this.disk.length > 0) return false;
+    return this.memory.length === 0 || this.memoryRecords + entry.count <= this.maxMemoryRecords;
+  }
+
+  /**
+   * Drop the oldest batch that is not currently being written
+   * @returns {Promise<boolean>} False if there was nothing to drop
+   */
+  async dropOldest() {
+    const index = this.memory.findIndex(entry => entry !== this.inFlight);
+    if (index !== -1) {
+      const [entry] = this.memory.splice(index, 1);
+      this.memoryRecords -= entry.count;
+      if (entry.file) await this.unlinkSegment(entry);
+      this.recordDrop(entry);
+      return true;
+    }
+
+    if (this.disk.length > 0) {
+      const segment = this.disk.shift();
+      await this.unlinkSegment(segment);
+      this.recordDrop(segment);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Move spilled batches back into memory while there is room. Their files stay
+   * on disk, and count against the disk limit, until the batch is removed, so a
+   * crash replays them.
+   */
+  async refill() {
+    while (this.disk.length > 0 &&
+      (this.memory.length === 0 || this.memoryRecords + this.disk[0].count <= this.maxMemoryRecords)) {
+      const segment = this.disk.shift();
+
+      try {
+        const data = await fs.promises.readFile(segment.file, 'utf8');
+        this.memory.push({ ...segment, data });
+        this.memoryRecords += segment.count;
+      } catch (error) {
+        console.error(`Queue read error: ${error.message}`);
+        await this.unlinkSegment(segment);
+        this.recordDrop(segment);
+      }
+    }
+  }
+
+  /**
+   * Delete the file of a spilled batch and release its share of the disk limit
+   * @param {Object} segment - Segment, or a batch read back from one
+   */
+  async unlinkSegment(segment) {
+    this.diskBytes -= segment.bytes;
+    await fs.promises.unlink(segment.file).catch(() => {});
+  }
+
+  /**
+   * Write a batch to the tail of the on-disk queue
+   * @param {Object} entry - Batch to spill
+   */
+  async spill(entry) {
+    const segment = await this.writeSegment(entry);
+    this.disk.push(segment);
+    this.diskBytes += segment.bytes;
+    this.stats.batchesSpilled++;
+  }
+
+  /**
+   * Write a batch to its segment file
+   * @param {Object} entry - Batch to write
+   * @returns {Promise<Object>} Segment descriptor
+   */
+  async writeSegment(entry) {
+    const database = entry.database ? `.${encodeURIComponent(entry.database)}` : '';
+    const file = path.join(this.dir, `${String(entry.seq).padStart(16, '0')}${database}${SEGMENT_EXTENSION}`);
+    // Write then rename, so a crash never leaves a half-written segment behind
+    await fs.promises.writeFile(`${file}.tmp`, entry.data);
+    await fs.promises.rename(`${file}.tmp`, file);
+    return { seq: entry.seq, database: entry.database, file, bytes: Buffer.byteLength(entry.data), count: entry.count };
+  }
+
+  /**
+   * Read the target database from a segment file name
+   * @param {string} file - Segment file name ('<seq>.lp' or '<seq>.<database>.lp')
+   * @returns {string|undefined} Database, or undefined for the default
+   */
+  parseDatabase(file) {
+    // Everything after the sequence number, since database names may contain dots
+    const name = file.slice(0, -SEGMENT_EXTENSION.length);
+    const dot = name.indexOf('.');
+    return dot !== -1 ? decodeURIComponent(name.slice(dot + 1)) : undefined;
+  }
+
+  /**
+   * Count a dropped batch
+   * @param {Object} entry - Dropped batch or segment
+   */
+  recordDrop(entry) {
+    this.stats.batchesDropped++;
+    this.stats.recordsDropped += entry.count;
+    if (this.debug) {
+      console.warn(`Write queue full, dropped ${entry.count} records (policy: ${this.dropPolicy})`);
+    }
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Queue statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      queueDepth: this.memory.length + this.disk.length,
+      queuedRecords: this.memoryRecords + this.disk.reduce((sum, segment) => sum + segment.count, 0),
+      queueDiskBytes: this.diskBytes
+    };
+  }
+}
+
+// Function to create a new write queue
+export function createHepWriteQueue(options) {
+  return new HepWriteQueue(options);
+}
+
+export default HepWriteQueue;
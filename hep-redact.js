@@ -0,0 +1,183 @@
+/**
+ * HEP Payload Redaction
+ *
+ * Masks personal data before it is stored: phone numbers in SIP/TEL URIs and user
+ * fields are hashed or truncated, sensitive SIP headers and SDP bodies are stripped
+ * from the payload, and the payload can be dropped entirely for chosen payload types.
+ */
+
+import crypto from 'crypto';
+import { findSdpBody } from './hep-sdp.js';
+
+const NUMBER_MODES = ['none', 'hash', 'truncate'];
+
+// User part of sip:/sips: URIs (before the '@') and the number of tel: URIs
+const SIP_URI_USER = /\b(sips?:)([^@;>\s?,"]+)@/gi;
+const TEL_URI_NUMBER = /\b(tel:)([^;>\s?,"]+)/gi;
+
+// Address of record without a scheme, as in registration records: user@host
+const BARE_ADDRESS = /^([^@\s:;<>"]+)@([^@\s]+)$/;
+
+// Digits with the visual separators allowed in telephone numbers (RFC 3966)
+const PHONE_NUMBER = /^\+?[\d\-.()]+$/;
+
+class HepRedactor {
+  /**
+   * @param {Object} options - Redaction options
+   * @param {string} options.numbers - Phone number handling: 'none', 'hash' or 'truncate'
+   * @param {number} options.keepDigits - Leading digits kept when truncating
+   * @param {number} options.minDigits - Digits a user part needs to count as a phone number
+   * @param {string} options.hashKey - Secret mixed into hashes, so they cannot be reversed by
+   *   enumeration; required for 'hash'
+   * @param {Array<string>} options.stripHeaders - SIP headers removed from payloads and header fields
+   * @param {boolean} options.stripSdp - Remove SDP bodies from SIP payloads
+   * @param {Array<number>} options.dropPayloadTypes - HEP payload types stored without their payload
+   */
+  constructor(options = {}) {
+    this.numbers = options.numbers || 'none';
+    if (!NUMBER_MODES.includes(this.numbers)) {
+      throw new Error(`Unknown number redaction mode '${this.numbers}'`);
+    }
+    this.keepDigits = options.keepDigits ?? 6;
+    this.minDigits = options.minDigits || 5;
+    this.hashKey = options.hashKey || '';
+    // An unkeyed hash of a phone number is found again by hashing every possible number
+    if (this.numbers === 'hash' && !this.hashKey) {
+      throw new Error('Number redaction mode \'hash\' needs a hash key');
+    }
+    this.stripHeaders = new Set((options.stripHeaders || []).map(name => name.trim().toLowerCase()));
+    this.stripSdp = !!options.stripSdp;
+    this.dropPayloadTypes = new Set((options.dropPayloadTypes || []).map(type => parseInt(type, 10)));
+  }
+
+  /**
+   * Whether any redaction is configured
+   * @returns {boolean} True if the redactor changes anything
+   */
+  isEnabled() {
+    return this.numbers !== 'none' || this.stripHeaders.size > 0 || this.stripSdp || this.dropPayloadTypes.size > 0;
+  }
+
+  /**
+   * Redact a packet payload
+   * @param {string} payload - Raw payload
+   * @param {number} type - HEP payload type
+   * @returns {string|null} Redacted payload, or null if it must not be stored
+   */
+  redactPayload(payload, type) {
+    if (this.dropPayloadTypes.has(type)) return null;
+
+    let result = payload;
+    if (type === 1 && (this.stripHeaders.size > 0 || this.stripSdp)) {
+      result = this.stripSipMessage(result);
+    }
+    return this.redactUris(result);
+  }
+
+  /**
+   * Remove configured headers and SDP bodies from a SIP message
+   * @param {string} message - SIP message
+   * @returns {string} Message without the stripped parts
+   */
+  stripSipMessage(message) {
+    const match = message.match(/\r?\n\r?\n/);
+    const head = match ? message.slice(0, match.index) : message;
+    const separator = match ? match[0] : '';
+    let body = match ? message.slice(match.index + separator.length) : '';
+
+    const newline = head.includes('\r\n') ? '\r\n' : '\n';
+    const kept = [];
+    let contentType = '';
+    let skipping = false;
+
+    for (const line of head.split(/\r?\n/)) {
+      // Folded continuation lines belong to the previous header
+      if (/^[ \t]/.test(line) && kept.length > 0) {
+        if (!skipping) kept.push(line);
+        continue;
+      }
+
+      const name = line.slice(0, line.indexOf(':')).trim().toLowerCase();
+      skipping = line.includes(':') && this.stripHeaders.has(name);
+      if (name === 'content-type' || name === 'c') contentType = line.slice(line.indexOf(':') + 1).trim();
+      if (!skipping) kept.push(line);
+    }
+
+    if (this.stripSdp && findSdpBody(body, contentType)) body = '';
+
+    return kept.join(newline) + separator + body;
+  }
+
+  /**
+   * Redact the value of an extracted SIP header
+   * @param {string} name - Header name
+   * @param {string} value - Header value
+   * @returns {string|null} Redacted value, or null if the header must not be stored
+   */
+  redactHeader(name, value) {
+    if (this.stripHeaders.has(String(name).toLowerCase())) return null;
+    return this.redactUris(value);
+  }
+
+  /**
+   * Redact the phone numbers in every SIP and TEL URI of a text
+   * @param {string} text - Text containing URIs
+   * @returns {string} Text with numbers masked
+   */
+  redactUris(text) {
+    if (this.numbers === 'none' || typeof text !== 'string') return text;
+    return text
+      .replace(SIP_URI_USER, (match, scheme, user) => `${scheme}${this.redactUser(user)}@`)
+      .replace(TEL_URI_NUMBER, (match, scheme, number) => `${scheme}${this.redactUser(number)}`);
+  }
+
+  /**
+   * Redact a user name if it is a phone number
+   * @param {string} user - User part of a URI
+   * @returns {string} Hashed or truncated number, or the user unchanged
+   */
+  redactUser(user) {
+    if (this.numbers === 'none' || typeof user !== 'string' || !PHONE_NUMBER.test(user)) return user;
+
+    const digits = user.replace(/\D/g, '');
+    if (digits.length < this.minDigits) return user;
+
+    if (this.numbers === 'hash') {
+      // Keyed and shortened; the same number always maps to the same value, so calls still correlate
+      return crypto.createHmac('sha256', this.hashKey).update(digits).digest('hex').slice(0, 16);
+    }
+
+    const prefix = user.startsWith('+') ? '+' : '';
+    return prefix + digits.slice(0, this.keepDigits) + 'x'.repeat(Math.max(digits.length - this.keepDigits, 0));
+  }
+
+  /**
+   * Redact the fields of a record built outside the converter (e.g. call summaries):
+   * `*_user` fields, bare `user@host` addresses and URIs in any other string
+   * @param {Object} fields - Field key-value pairs
+   * @returns {Object} Redacted fields
+   */
+  redactFields(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (typeof value !== 'string') {
+        result[key] = value;
+      } else if (key.endsWith('_user')) {
+        result[key] = this.redactUser(value);
+      } else if (BARE_ADDRESS.test(value)) {
+        const [, user, host] = value.match(BARE_ADDRESS);
+        result[key] = `${this.redactUser(user)}@${host}`;
+      } else {
+        result[key] = this.redactUris(value);
+      }
+    }
+    return result;
+  }
+}
+
+// Function to create a new redactor
+export function createHepRedactor(options) {
+  return new HepRedactor(options);
+}
+
+export default HepRedactor;
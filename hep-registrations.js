@@ -0,0 +1,220 @@
+/**
+ * HEP SIP Registration Tracker
+ *
+ * Pairs REGISTER requests with their responses and produces one `sip_registrations`
+ * record per registration attempt, counting the auth challenges (401/407) on the way.
+ */
+
+import { CaptureClock } from './hep-clock.js';
+
+// Matches the expires parameter of a Contact header
+const CONTACT_EXPIRES = /;\s*expires\s*=\s*(\d+)/i;
+
+class HepRegistrationTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {Function} options.onRecord - Called with every finished registration record
+   * @param {number} options.maxPending - Attempts tracked at once before evicting the oldest
+   * @param {number} options.timeout - Time a REGISTER may wait for a final response (ms)
+   * @param {string} options.measurement - Measurement name of the records
+   */
+  constructor(options = {}) {
+    this.onRecord = options.onRecord || (() => {});
+    this.maxPending = options.maxPending || 100000;
+    // SIP transaction timeout (64 * T1)
+    this.timeout = options.timeout || 32000;
+    this.measurement = options.measurement || 'sip_registrations';
+
+    // Attempts by Call-ID, in creation order
+    this.pending = new Map();
+    this.clock = new CaptureClock();
+
+    // Statistics
+    this.stats = {
+      registrationsTracked: 0,
+      registrationsCompleted: 0,
+      registrationsTimedOut: 0,
+      registrationsEvicted: 0
+    };
+  }
+
+  /**
+   * Process a SIP message
+   * @param {Object} message - Message summary from HepToLineProtocolConverter.summarizeSip()
+   * @param {Object} header - HEP protocol header
+   */
+  process(message, header) {
+    if (!message.callId) return;
+
+    const time = this.clock.observe(header);
+
+    if (message.isRequest) {
+      if (message.method === 'REGISTER') this.handleRequest(message, header, time);
+      return;
+    }
+
+    if (message.cseqMethod !== 'REGISTER') return;
+    const attempt = this.pending.get(message.callId);
+    // Only responses to the latest REGISTER of the attempt count
+    if (!attempt || message.cseq !== attempt.cseq) return;
+
+    const status = message.statusCode;
+    if (status < 200) return;
+
+    attempt.responseTime = time;
+    attempt.responseCode = status;
+
+    if (status === 401 || status === 407) {
+      // Wait for the client to retry with credentials
+      attempt.challenges++;
+      return;
+    }
+
+    // The registrar's answer is authoritative for the granted expiry
+    const granted = this.getExpires(message);
+    if (granted !== undefined) attempt.expires = granted;
+    if (message.contact) attempt.responseContact = message.contact;
+
+    this.finish(attempt, status >= 300 ? 'failed' : (attempt.expires === 0 ? 'unregistered' : 'registered'));
+  }
+
+  /**
+   * Start or continue a registration attempt
+   * @param {Object} message - REGISTER summary
+   * @param {Object} header - HEP protocol header
+   * @param {number} time - Message time (ms)
+   */
+  handleRequest(message, header, time) {
+    let attempt = this.pending.get(message.callId);
+
+    if (attempt) {
+      // Retransmission of the REGISTER already being tracked
+      if (message.cseq === attempt.cseq) return;
+    } else {
+      if (this.pending.size >= this.maxPending) {
+        const oldest = this.pending.values().next().value;
+        this.stats.registrationsEvicted++;
+        this.finish(oldest, 'evicted');
+      }
+
+      attempt = {
+        callId: message.callId,
+        firstTime: time,
+        challenges: 0,
+        captureId: header.captureId
+      };
+      this.pending.set(message.callId, attempt);
+      this.stats.registrationsTracked++;
+    }
+
+    // Every REGISTER in the attempt (e.g. after a challenge) restarts the latency clock
+    Object.assign(attempt, {
+      cseq: message.cseq,
+      requestTime: time,
+      responseTime: undefined,
+      responseCode: undefined,
+      aor: message.toAor,
+      contact: message.contact,
+      expires: this.getExpires(message),
+      userAgent: message.userAgent,
+      srcIp: header.srcIp,
+      srcPort: header.srcPort,
+      dstIp: header.dstIp
+    });
+  }
+
+  /**
+   * Finish attempts that never got a final response
+   * @param {number} now - Current capture time (ms); defaults to the capture clock
+   */
+  expire(now = this.clock.now()) {
+    for (const attempt of [...this.pending.values()]) {
+      if (now - attempt.requestTime >= this.timeout) {
+        this.stats.registrationsTimedOut++;
+        // A last challenge that was never answered is still a failed attempt
+        this.finish(attempt, attempt.responseCode ? 'failed' : 'timeout');
+      }
+    }
+  }
+
+  /**
+   * Stop tracking an attempt and emit its record
+   * @param {Object} attempt - Attempt state
+   * @param {string} result - Registration result
+   */
+  finish(attempt, result) {
+    this.pending.delete(attempt.callId);
+    this.stats.registrationsCompleted++;
+
+    try {
+      this.onRecord(this.createRecord(attempt, result));
+    } catch (e) {
+      console.error('Error emitting registration record:', e);
+    }
+  }
+
+  /**
+   * Build the registration record
+   * @param {Object} attempt - Attempt state
+   * @param {string} result - Registration result
+   * @returns {Object} Record with measurement, tags, fields and timestamp
+   */
+  createRecord(attempt, result) {
+    const tags = { result };
+    if (attempt.captureId) tags.capture_id = attempt.captureId;
+
+    const fields = {
+      call_id: attempt.callId,
+      aor: attempt.aor,
+      contact: attempt.responseContact || attempt.contact,
+      expires: attempt.expires,
+      user_agent: attempt.userAgent,
+      src_ip: attempt.srcIp,
+      src_port: attempt.srcPort !== undefined ? parseInt(attempt.srcPort, 10) : undefined,
+      dst_ip: attempt.dstIp,
+      response_code: attempt.responseCode,
+      challenges: attempt.challenges
+    };
+
+    if (attempt.responseTime) {
+      fields.latency_ms = Math.round(attempt.responseTime - attempt.requestTime);
+      fields.total_time_ms = Math.round(attempt.responseTime - attempt.firstTime);
+    }
+
+    return {
+      measurement: this.measurement,
+      tags,
+      fields,
+      timestamp: BigInt(Math.round(attempt.firstTime * 1000)) * 1000n
+    };
+  }
+
+  /**
+   * Get the expiry of a REGISTER or its response
+   * @param {Object} message - Message summary
+   * @returns {number|undefined} Expiry in seconds; the Contact parameter wins over the Expires header
+   */
+  getExpires(message) {
+    const match = message.contact && message.contact.match(CONTACT_EXPIRES);
+    if (match) return parseInt(match[1], 10);
+    return message.expires;
+  }
+
+  /**
+   * Get tracker statistics
+   * @returns {Object} Tracker statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      registrationsPending: this.pending.size
+    };
+  }
+}
+
+// Function to create a new registration tracker
+export function createHepRegistrationTracker(options) {
+  return new HepRegistrationTracker(options);
+}
+
+export default HepRegistrationTracker;
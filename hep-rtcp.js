@@ -0,0 +1,114 @@
+/**
+ * HEP RTCP Report Decoder
+ *
+ * Flattens the JSON RTCP reports sent by heplify and other agents as HEP payload
+ * type 5 into numeric QoS fields.
+ */
+
+// Seconds between the NTP epoch (1900) and the Unix epoch (1970)
+const NTP_UNIX_OFFSET = 2208988800;
+
+const REPORT_TYPES = {
+  200: 'SR',
+  201: 'RR',
+  202: 'SDES',
+  203: 'BYE',
+  204: 'APP',
+  207: 'XR'
+};
+
+/**
+ * Convert an integer-looking value to a number
+ * @param {*} value - Value from the report
+ * @returns {number|undefined} Integer value, or undefined if not numeric
+ */
+function toInteger(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.trunc(number) : undefined;
+}
+
+/**
+ * Compute the round trip time from a report block, as seen at the capture point
+ * @param {Object} header - HEP protocol header, used for the arrival time
+ * @param {number} lsr - Middle 32 bits of the NTP time of the last SR
+ * @param {number} dlsr - Delay since the last SR, in 1/65536 seconds
+ * @returns {number|undefined} RTT in milliseconds, or undefined if it cannot be computed
+ */
+function computeRtt(header, lsr, dlsr) {
+  if (!lsr || !header.timeSeconds) return undefined;
+
+  // Middle 32 bits of the arrival NTP timestamp
+  const ntpSeconds = (Number(header.timeSeconds) + NTP_UNIX_OFFSET) & 0xFFFF;
+  const ntpFraction = Math.floor((Number(header.timeUseconds) || 0) * 65536 / 1000000) & 0xFFFF;
+  const arrival = ((ntpSeconds << 16) | ntpFraction) >>> 0;
+
+  const rtt = (arrival - lsr - dlsr) >>> 0;
+  // Anything over a minute is a wrapped or unrelated LSR, not a real RTT
+  if (rtt > 60 * 65536) return undefined;
+
+  return Math.round(rtt * 1000 / 65536);
+}
+
+/**
+ * Decode an RTCP report payload into QoS fields
+ * @param {string} payload - JSON RTCP report
+ * @param {Object} header - HEP protocol header
+ * @returns {Object} Field key-value pairs (empty if the payload is not a JSON report)
+ */
+export function decodeRtcpReport(payload, header = {}) {
+  let report;
+  try {
+    report = JSON.parse(payload);
+  } catch (e) {
+    return {};
+  }
+  if (!report || typeof report !== 'object') return {};
+
+  const fields = {};
+  const type = toInteger(report.type);
+
+  if (type !== undefined) {
+    fields.rtcp_type = type;
+    if (REPORT_TYPES[type]) fields.rtcp_report = REPORT_TYPES[type];
+  }
+  if (report.ssrc !== undefined) fields.rtcp_ssrc = toInteger(report.ssrc);
+  if (report.report_count !== undefined) fields.rtcp_report_count = toInteger(report.report_count);
+
+  // Sender information, only present in sender reports
+  const sender = report.sender_information;
+  if (sender) {
+    if (sender.packets !== undefined) fields.rtcp_sender_packets = toInteger(sender.packets);
+    if (sender.octets !== undefined) fields.rtcp_sender_octets = toInteger(sender.octets);
+  }
+
+  // QoS comes from the first report block; agents send one block per report
+  const block = Array.isArray(report.report_blocks) ? report.report_blocks[0] : null;
+  if (block) {
+    const lsr = toInteger(block.lsr) || 0;
+    const dlsr = toInteger(block.dlsr) || 0;
+
+    if (block.source_ssrc !== undefined) fields.rtcp_source_ssrc = toInteger(block.source_ssrc);
+    // Fraction lost is kept as the raw 8-bit value (lost / 256)
+    if (block.fraction_lost !== undefined) fields.rtcp_fraction_lost = toInteger(block.fraction_lost);
+    if (block.packets_lost !== undefined) fields.rtcp_packets_lost = toInteger(block.packets_lost);
+    if (block.highest_seq_no !== undefined) fields.rtcp_highest_seq = toInteger(block.highest_seq_no);
+    if (block.ia_jitter !== undefined) fields.rtcp_jitter = toInteger(block.ia_jitter);
+    if (block.lsr !== undefined) fields.rtcp_lsr = lsr;
+    if (block.dlsr !== undefined) {
+      fields.rtcp_dlsr = dlsr;
+      fields.rtcp_dlsr_ms = Math.round(dlsr * 1000 / 65536);
+    }
+
+    const rtt = computeRtt(header, lsr, dlsr);
+    if (rtt !== undefined) fields.rtcp_rtt_ms = rtt;
+  }
+
+  // Drop anything that did not parse as a number
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) delete fields[key];
+  }
+
+  return fields;
+}
+
+export default decodeRtcpReport;
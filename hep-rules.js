@@ -0,0 +1,454 @@
+/**
+ * HEP Packet Rules
+ *
+ * Ordered rules evaluated on every decoded HEP packet before it is converted.
+ * The first rule whose conditions all match decides what happens to the packet:
+ * keep it, drop it, keep a sample of N%, or route it to another database and/or
+ * measurement. Packets that match no rule are kept unchanged.
+ */
+
+const ACTIONS = ['accept', 'drop', 'sample', 'route'];
+
+// Names accepted for databases and measurements, here and in the schema mapping; they
+// become directory names, so they may contain dots but not start with one
+export const NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+// Compact SIP header forms (RFC 3261 section 7.3.3)
+const COMPACT_HEADERS = {
+  'call-id': 'i',
+  'contact': 'm',
+  'content-encoding': 'e',
+  'content-length': 'l',
+  'content-type': 'c',
+  'from': 'f',
+  'subject': 's',
+  'supported': 'k',
+  'to': 't',
+  'via': 'v'
+};
+
+/**
+ * Parse an IPv4 or IPv6 address
+ * @param {string} ip - Address text
+ * @returns {Object|null} Address version and value, or null if invalid
+ */
+export function parseIp(ip) {
+  if (typeof ip !== 'string') return null;
+
+  if (ip.includes(':')) {
+    // Drop a zone index and expand '::'
+    const address = ip.split('%')[0];
+    const halves = address.split('::');
+    if (halves.length > 2) return null;
+
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+
+    // An embedded IPv4 address takes the last two groups
+    const last = tail.length ? tail : head;
+    if (last.length && last[last.length - 1].includes('.')) {
+      const v4 = parseIp(last.pop());
+      if (!v4 || v4.version !== 4) return null;
+      last.push((v4.value >> 16n).toString(16), (v4.value & 0xffffn).toString(16));
+    }
+
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+    let value = 0n;
+    for (const group of [...head, ...new Array(missing).fill('0'), ...tail]) {
+      if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+      value = (value << 16n) | BigInt(parseInt(group, 16));
+    }
+    return { version: 6, value };
+  }
+
+  const octets = ip.split('.');
+  if (octets.length !== 4) return null;
+
+  let value = 0n;
+  for (const octet of octets) {
+    if (!/^\d{1,3}$/.test(octet) || Number(octet) > 255) return null;
+    value = (value << 8n) | BigInt(octet);
+  }
+  return { version: 4, value };
+}
+
+/**
+ * Parse an address or CIDR block into a network matcher
+ * @param {string} cidr - Address ('10.0.0.1') or block ('10.0.0.0/8', 'fd00::/8')
+ * @returns {Object} Network version, masked base address and mask
+ */
+export function parseCidr(cidr) {
+  const [address, prefix] = String(cidr).split('/');
+  const ip = parseIp(address);
+  if (!ip) throw new Error(`Invalid IP address: ${cidr}`);
+
+  const bits = ip.version === 4 ? 32 : 128;
+  const length = prefix === undefined ? bits : Number(prefix);
+  if (!Number.isInteger(length) || length < 0 || length > bits) {
+    throw new Error(`Invalid CIDR prefix: ${cidr}`);
+  }
+
+  const all = (1n << BigInt(bits)) - 1n;
+  const mask = all ^ ((1n << BigInt(bits - length)) - 1n);
+  return { version: ip.version, base: ip.value & mask, mask };
+}
+
+/**
+ * Check whether an address falls inside any of the given networks
+ * @param {string} ip - Address text
+ * @param {Array<Object>} networks - Networks from parseCidr()
+ * @returns {boolean} True if the address matches
+ */
+export function ipInNetworks(ip, networks) {
+  const parsed = parseIp(ip);
+  if (!parsed) return false;
+  return networks.some(network =>
+    network.version === parsed.version && (parsed.value & network.mask) === network.base);
+}
+
+/**
+ * Wrap a single condition value in an array
+ * @param {*} value - Value or list of values
+ * @returns {Array} List of values
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Compile port conditions into ranges
+ * @param {number|string|Array} value - Port, 'low-high' range, or a list of those
+ * @returns {Array<Array<number>>} Inclusive [low, high] ranges
+ */
+function compilePorts(value) {
+  return toList(value).map(port => {
+    const [low, high = low] = String(port).split('-').map(part => parseInt(part, 10));
+    if (!Number.isInteger(low) || !Number.isInteger(high) || low > high) {
+      throw new Error(`Invalid port: ${port}`);
+    }
+    return [low, high];
+  });
+}
+
+/**
+ * Compile SIP status conditions
+ * @param {number|string|Array} value - Status code, class ('4xx'), or a list of those
+ * @returns {Array<Function>} Status predicates
+ */
+function compileStatuses(value) {
+  return toList(value).map(status => {
+    const text = String(status).toLowerCase();
+    if (/^[1-6]xx$/.test(text)) {
+      const statusClass = parseInt(text[0], 10);
+      return (code) => Math.floor(code / 100) === statusClass;
+    }
+    const code = parseInt(text, 10);
+    if (!Number.isInteger(code)) throw new Error(`Invalid SIP status: ${status}`);
+    return (candidate) => candidate === code;
+  });
+}
+
+/**
+ * Compile a regular expression condition
+ * @param {string|RegExp} pattern - Pattern
+ * @returns {RegExp} Compiled expression
+ */
+function compilePattern(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern);
+}
+
+class HepRuleEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Array<Object>} options.rules - Rules, evaluated in order
+   * @param {Function} options.random - Random source in [0, 1), used for sampling
+   */
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+    this.rules = [];
+
+    // Statistics
+    this.stats = {
+      packetsFiltered: 0,
+      packetsSampledOut: 0,
+      packetsRouted: 0
+    };
+
+    this.setRules(options.rules || []);
+  }
+
+  /**
+   * Replace the rule set; nothing changes if any rule is invalid
+   * @param {Array<Object>} rules - Rules, evaluated in order
+   */
+  setRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Rules must be an array');
+    }
+    this.rules = rules.map((rule, index) => this.compileRule(rule, index));
+  }
+
+  /**
+   * Validate a rule and precompile its conditions
+   * @param {Object} rule - Rule definition
+   * @param {number} index - Position of the rule, used for default names and errors
+   * @returns {Object} Compiled rule
+   */
+  compileRule(rule, index) {
+    const name = (rule && rule.name) || `rule_${index}`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Rule ${name}: must be an object`);
+    }
+
+    const action = rule.action || 'accept';
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Rule ${name}: unknown action '${action}'`);
+    }
+
+    const compiled = { name, action, conditions: [], matches: 0, needsSip: false };
+
+    if (action === 'sample') {
+      const rate = Number(rule.rate);
+      if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+        throw new Error(`Rule ${name}: sample rate must be a percentage between 0 and 100`);
+      }
+      compiled.rate = rate;
+    }
+
+    for (const key of ['database', 'measurement']) {
+      if (rule[key] === undefined) continue;
+      if (!NAME_PATTERN.test(rule[key])) {
+        throw new Error(`Rule ${name}: invalid ${key} '${rule[key]}'`);
+      }
+      compiled[key] = rule[key];
+    }
+    if (action === 'route' && !compiled.database && !compiled.measurement) {
+      throw new Error(`Rule ${name}: route needs a database or a measurement`);
+    }
+
+    try {
+      this.compileConditions(rule.match || {}, compiled);
+    } catch (error) {
+      throw new Error(`Rule ${name}: ${error.message}`);
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Turn the match section of a rule into predicates on the packet context
+   * @param {Object} match - Match conditions
+   * @param {Object} compiled - Compiled rule to add the predicates to
+   */
+  compileConditions(match, compiled) {
+    const add = (predicate, needsSip = false) => {
+      compiled.conditions.push(predicate);
+      if (needsSip) compiled.needsSip = true;
+    };
+
+    for (const [key, value] of Object.entries(match)) {
+      switch (key) {
+        case 'payloadType': {
+          const types = toList(value).map(type => parseInt(type, 10));
+          add(packet => types.includes(packet.type));
+          break;
+        }
+        case 'captureId': {
+          const ids = toList(value).map(String);
+          add(packet => ids.includes(String(packet.header.captureId)));
+          break;
+        }
+        case 'srcIp':
+        case 'dstIp':
+        case 'ip': {
+          const networks = toList(value).map(parseCidr);
+          const sides = key === 'ip' ? ['srcIp', 'dstIp'] : [key];
+          add(packet => sides.some(side => ipInNetworks(packet.header[side], networks)));
+          break;
+        }
+        case 'srcPort':
+        case 'dstPort':
+        case 'port': {
+          const ranges = compilePorts(value);
+          const sides = key === 'port' ? ['srcPort', 'dstPort'] : [key];
+          add(packet => sides.some(side => {
+            const port = parseInt(packet.header[side], 10);
+            return ranges.some(([low, high]) => port >= low && port <= high);
+          }));
+          break;
+        }
+        case 'sipMethod': {
+          const methods = toList(value).map(method => String(method).toUpperCase());
+          // Responses match on the method of their CSeq
+          add(packet => methods.includes(packet.sip().method), true);
+          break;
+        }
+        case 'sipStatus': {
+          const statuses = compileStatuses(value);
+          add(packet => {
+            const status = packet.sip().status;
+            return status !== undefined && statuses.some(matches => matches(status));
+          }, true);
+          break;
+        }
+        case 'headers': {
+          if (!value || typeof value !== 'object') throw new Error('headers must map names to patterns');
+          for (const [header, pattern] of Object.entries(value)) {
+            const regex = compilePattern(pattern);
+            const name = header.toLowerCase();
+            add(packet => packet.sip().headers(name).some(headerValue => regex.test(headerValue)), true);
+          }
+          break;
+        }
+        case 'payload': {
+          const regex = compilePattern(value);
+          add(packet => regex.test(packet.payload));
+          break;
+        }
+        default:
+          throw new Error(`unknown match condition '${key}'`);
+      }
+    }
+  }
+
+  /**
+   * Evaluate the rules against a decoded packet
+   * @param {Object} hepData - Decoded packet from HepToLineProtocolConverter.decodePacket()
+   * @returns {Object} Decision: keep flag, matching rule name, and database/measurement overrides
+   */
+  evaluate(hepData) {
+    if (this.rules.length === 0) return { keep: true };
+
+    const packet = this.createContext(hepData);
+
+    for (const rule of this.rules) {
+      if (!rule.conditions.every(condition => condition(packet))) continue;
+      rule.matches++;
+
+      if (rule.action === 'drop') {
+        this.stats.packetsFiltered++;
+        return { keep: false, rule: rule.name };
+      }
+
+      if (rule.action === 'sample' && !this.sampled(packet, rule.rate)) {
+        this.stats.packetsSampledOut++;
+        return { keep: false, rule: rule.name };
+      }
+
+      const decision = { keep: true, rule: rule.name };
+      if (rule.database) decision.database = rule.database;
+      if (rule.measurement) decision.measurement = rule.measurement;
+      if (decision.database || decision.measurement) this.stats.packetsRouted++;
+      return decision;
+    }
+
+    return { keep: true };
+  }
+
+  /**
+   * Decide whether a packet is kept by a sampling rule. SIP messages are sampled by
+   * Call-ID, so a call is either kept or dropped as a whole.
+   * @param {Object} packet - Packet context
+   * @param {number} rate - Percentage of packets to keep
+   * @returns {boolean} True if the packet is kept
+   */
+  sampled(packet, rate) {
+    if (rate >= 100) return true;
+    if (rate <= 0) return false;
+
+    const [callId] = packet.type === 1 ? packet.sip().headers('call-id') : [];
+    if (callId) {
+      // FNV-1a hash of the Call-ID, mapped to 0..9999
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < callId.length; i++) {
+        hash = Math.imul(hash ^ callId.charCodeAt(i), 0x01000193) >>> 0;
+      }
+      return hash % 10000 < rate * 100;
+    }
+
+    return this.random() * 100 < rate;
+  }
+
+  /**
+   * Build the context rules are evaluated on. SIP details are only parsed if a
+   * rule asks for them, and then only once.
+   * @param {Object} hepData - Decoded packet
+   * @returns {Object} Packet context
+   */
+  createContext(hepData) {
+    const payload = String(hepData.raw || '');
+    let sip = null;
+
+    return {
+      type: hepData.type,
+      header: hepData.protocol_header || {},
+      payload,
+      sip: () => {
+        if (!sip) sip = this.parseSipHead(payload);
+        return sip;
+      }
+    };
+  }
+
+  /**
+   * Read the start line and headers of a SIP message without a full parse
+   * @param {string} payload - SIP message
+   * @returns {Object} Method (CSeq method for responses), status and a header lookup
+   */
+  parseSipHead(payload) {
+    const end = payload.search(/\r?\n\r?\n/);
+    const lines = (end === -1 ? payload : payload.slice(0, end)).split(/\r?\n/);
+    const startLine = lines.shift() || '';
+
+    const headers = new Map();
+    for (const line of lines) {
+      const colon = line.indexOf(':');
+      if (colon === -1) continue;
+      const name = line.slice(0, colon).trim().toLowerCase();
+      if (!headers.has(name)) headers.set(name, []);
+      headers.get(name).push(line.slice(colon + 1).trim());
+    }
+
+    const lookup = (name) => [
+      ...(headers.get(name) || []),
+      ...(COMPACT_HEADERS[name] ? headers.get(COMPACT_HEADERS[name]) || [] : [])
+    ];
+
+    const response = startLine.match(/^SIP\/2\.0\s+(\d{3})/);
+    if (response) {
+      const [cseq = ''] = lookup('cseq');
+      return { status: parseInt(response[1], 10), method: (cseq.split(/\s+/)[1] || '').toUpperCase(), headers: lookup };
+    }
+
+    const request = startLine.match(/^([A-Za-z]+)\s+\S+\s+SIP\/2\.0/);
+    return { status: undefined, method: request ? request[1].toUpperCase() : undefined, headers: lookup };
+  }
+
+  /**
+   * Get the number of packets each rule matched
+   * @returns {Array<Object>} Rule names and match counts, in rule order
+   */
+  getRuleMatches() {
+    return this.rules.map(rule => ({ rule: rule.name, matches: rule.matches }));
+  }
+
+  /**
+   * Get rule statistics
+   * @returns {Object} Rule statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      rules: this.rules.length
+    };
+  }
+}
+
+// Function to create a new rule engine
+export function createHepRuleEngine(options) {
+  return new HepRuleEngine(options);
+}
+
+export default HepRuleEngine;
@@ -0,0 +1,242 @@
+/**
+ * HEP Schema Mapping
+ *
+ * Decides how records are laid out in storage: the measurement each packet is
+ * written to, which attributes are tags and which are fields, column names, field
+ * types and static tags added to every record. Without a mapping records keep the
+ * converter's layout, in `hep_<type>` measurements.
+ *
+ *   {
+ *     measurement: 'hep_{protocol}',
+ *     staticTags: { node: 'relay-1', region: 'eu-west' },
+ *     measurements: {
+ *       '*': { fields: ['src_port', 'dst_port'] },
+ *       hep_sip: { tags: ['sip_method'], rename: { 'sip_call-id': 'call_id' }, types: { sip_status: 'string' } }
+ *     }
+ *   }
+ */
+
+import { NAME_PATTERN } from './hep-rules.js';
+
+// Names for the {protocol} placeholder, by HEP payload type
+export const PAYLOAD_NAMES = {
+  1: 'sip', 2: 'xmpp', 3: 'sdp', 4: 'rtp', 5: 'rtcp', 6: 'mgcp', 7: 'megaco', 8: 'm2ua',
+  9: 'm3ua', 10: 'iax', 11: 'h322', 12: 'h321', 34: 'rtp_agent', 35: 'qos', 53: 'dns', 100: 'log'
+};
+
+const FIELD_TYPES = ['integer', 'float', 'string', 'boolean'];
+const MAPPING_KEYS = ['tags', 'fields', 'rename', 'types', 'staticTags'];
+const PLACEHOLDER = /\{(type|protocol|capture_id)\}/g;
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a non-array object
+ */
+function isMapping(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Convert a value to a field type
+ * @param {*} value - Value to convert
+ * @param {string} type - 'integer', 'float', 'string' or 'boolean'
+ * @returns {*} Converted value, or undefined if it does not convert
+ */
+function convertValue(value, type) {
+  switch (type) {
+    case 'integer': {
+      const number = typeof value === 'number' ? Math.trunc(value) : parseInt(value, 10);
+      return Number.isNaN(number) ? undefined : number;
+    }
+    case 'float': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      return Number.isNaN(number) ? undefined : number;
+    }
+    case 'boolean':
+      return value === true || value === 1 || /^(true|1|yes)$/i.test(String(value));
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+class HepSchemaMapper {
+  /**
+   * @param {Object} schema - Mapping, see the module description
+   * @param {string} schema.measurement - Measurement name template; `{type}`, `{protocol}`
+   *   and `{capture_id}` are replaced per packet
+   * @param {Object} schema.staticTags - Tags added to every record
+   * @param {Object} schema.measurements - Per-measurement mappings by final measurement
+   *   name, `*` for every measurement: `{ tags, fields, rename, types, staticTags }`
+   * @throws {Error} If the mapping is invalid
+   */
+  constructor(schema = {}) {
+    if (!isMapping(schema)) {
+      throw new Error('Schema mapping must be an object');
+    }
+    for (const key of Object.keys(schema)) {
+      if (!['measurement', 'staticTags', 'measurements'].includes(key)) {
+        throw new Error(`Schema mapping: unknown setting '${key}'`);
+      }
+    }
+
+    this.template = schema.measurement || 'hep_{type}';
+    if (typeof this.template !== 'string' || !NAME_PATTERN.test(this.template.replace(PLACEHOLDER, 'x'))) {
+      throw new Error(`Schema mapping: invalid measurement name '${this.template}'`);
+    }
+
+    this.staticTags = this.compileTags(schema.staticTags, 'staticTags');
+    this.defaults = null;
+    this.mappings = new Map();
+
+    const measurements = schema.measurements || {};
+    if (!isMapping(measurements)) {
+      throw new Error('Schema mapping: measurements must be an object');
+    }
+    for (const [name, mapping] of Object.entries(measurements)) {
+      const compiled = this.compileMapping(name, mapping);
+      if (name === '*') this.defaults = compiled;
+      else this.mappings.set(name, compiled);
+    }
+  }
+
+  /**
+   * Validate static tags
+   * @param {Object} tags - Tag names and values
+   * @param {string} where - Setting name, for errors
+   * @returns {Object} Tags with string values
+   */
+  compileTags(tags, where) {
+    if (tags === undefined) return {};
+    if (!isMapping(tags)) {
+      throw new Error(`Schema mapping: ${where} must be an object`);
+    }
+    return Object.fromEntries(Object.entries(tags).map(([key, value]) => [key, String(value)]));
+  }
+
+  /**
+   * Validate the mapping of one measurement
+   * @param {string} name - Measurement name, or '*'
+   * @param {Object} mapping - Mapping
+   * @returns {Object} Compiled mapping
+   */
+  compileMapping(name, mapping) {
+    const where = `measurements.${name}`;
+    if (!isMapping(mapping)) {
+      throw new Error(`Schema mapping: ${where} must be an object`);
+    }
+    for (const key of Object.keys(mapping)) {
+      if (!MAPPING_KEYS.includes(key)) {
+        throw new Error(`Schema mapping: ${where}: unknown setting '${key}'`);
+      }
+    }
+
+    const list = (key) => {
+      const value = mapping[key] || [];
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new Error(`Schema mapping: ${where}.${key} must be a list of names`);
+      }
+      return value;
+    };
+    const tags = list('tags');
+    const fields = list('fields');
+    const both = tags.find(key => fields.includes(key));
+    if (both) {
+      throw new Error(`Schema mapping: ${where}: '${both}' cannot be both a tag and a field`);
+    }
+
+    const rename = mapping.rename || {};
+    if (!isMapping(rename) || Object.values(rename).some(value => typeof value !== 'string' || !value)) {
+      throw new Error(`Schema mapping: ${where}.rename must map names to new names`);
+    }
+
+    const types = mapping.types || {};
+    if (!isMapping(types)) {
+      throw new Error(`Schema mapping: ${where}.types must be an object`);
+    }
+    for (const [key, type] of Object.entries(types)) {
+      if (!FIELD_TYPES.includes(type)) {
+        throw new Error(`Schema mapping: ${where}.types.${key}: expected one of ${FIELD_TYPES.join(', ')}`);
+      }
+    }
+
+    return { tags, fields, rename, types, staticTags: this.compileTags(mapping.staticTags, `${where}.staticTags`) };
+  }
+
+  /**
+   * Name the measurement of a packet
+   * @param {number} type - HEP payload type
+   * @param {Object} header - HEP protocol header
+   * @returns {string} Measurement name
+   */
+  measurementName(type, header = {}) {
+    return this.template.replace(PLACEHOLDER, (match, placeholder) => {
+      if (placeholder === 'type') return String(type);
+      if (placeholder === 'protocol') return PAYLOAD_NAMES[type] || String(type);
+      return String(header.captureId || 0);
+    });
+  }
+
+  /**
+   * Lay a record out as mapped: move attributes between tags and fields, rename them,
+   * convert field types and add static tags
+   * @param {Object} record - Record with measurement, tags, fields, timestamp and types
+   * @returns {Object} Mapped record; the input is not modified
+   */
+  apply(record) {
+    const mappings = [this.defaults, this.mappings.get(record.measurement)].filter(Boolean);
+    if (mappings.length === 0 && Object.keys(this.staticTags).length === 0) return record;
+
+    let tags = { ...record.tags };
+    let fields = { ...record.fields };
+    let types = { ...record.types };
+
+    for (const mapping of mappings) {
+      for (const key of mapping.tags) {
+        if (!(key in fields)) continue;
+        const value = fields[key];
+        delete fields[key];
+        delete types[key];
+        if (value !== null && value !== undefined && value !== '') {
+          tags[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+      }
+      for (const key of mapping.fields) {
+        if (!(key in tags)) continue;
+        fields[key] = tags[key];
+        delete tags[key];
+      }
+
+      const renameKeys = (values) => Object.fromEntries(
+        Object.entries(values).map(([key, value]) => [mapping.rename[key] || key, value]));
+      tags = renameKeys(tags);
+      fields = renameKeys(fields);
+      types = renameKeys(types);
+
+      for (const [key, type] of Object.entries(mapping.types)) {
+        if (!(key in fields)) continue;
+        const value = convertValue(fields[key], type);
+        if (value === undefined) {
+          delete fields[key];
+          delete types[key];
+        } else {
+          fields[key] = value;
+          types[key] = type;
+        }
+      }
+    }
+
+    // Static tags never replace a tag taken from the packet
+    const staticTags = Object.assign({}, this.staticTags, ...mappings.map(mapping => mapping.staticTags));
+    tags = { ...staticTags, ...tags };
+
+    return { ...record, tags, fields, types };
+  }
+}
+
+// Function to create a new schema mapper
+export function createHepSchemaMapper(schema) {
+  return new HepSchemaMapper(schema);
+}
+
+export default HepSchemaMapper;
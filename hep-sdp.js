@@ -0,0 +1,83 @@
+/**
+ * HEP SDP Field Extraction
+ *
+ * Turns the SDP body of a SIP message into flat fields, so signaling rows can be
+ * joined to RTP/RTCP rows on media IP and port.
+ */
+
+import { getSDP } from 'parsip';
+
+/**
+ * Find the SDP part of a SIP body
+ * @param {string} body - SIP message body
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|null} SDP text, or null if the body carries no SDP
+ */
+export function findSdpBody(body, contentType = '') {
+  if (!body) return null;
+  const type = contentType.toLowerCase();
+
+  if (type.includes('application/sdp')) return body;
+
+  if (type.startsWith('multipart/')) {
+    // Take the part whose headers declare application/sdp
+    const match = body.match(/content-type:\s*application\/sdp[^\r\n]*\r?\n(?:[^\r\n]+\r?\n)*\r?\n([\s\S]*?)(?:\r?\n--|$)/i);
+    return match ? match[1] : null;
+  }
+
+  // No Content-Type at all; accept a body that looks like SDP
+  return !type && /^v=0/.test(body) ? body : null;
+}
+
+/**
+ * Extract SDP fields from an SDP body
+ * @param {string} sdpText - SDP body
+ * @param {boolean} isAnswer - True if the SDP came in a response (an answer)
+ * @returns {Object} Field key-value pairs
+ */
+export function extractSdpFields(sdpText, isAnswer = false) {
+  const sdp = getSDP(sdpText);
+  const fields = {
+    sdp_type: isAnswer ? 'answer' : 'offer'
+  };
+
+  if (sdp.origin) {
+    // Session IDs are up to 64 bits, so they are kept as text
+    if (sdp.origin.sessionId !== undefined) fields.sdp_session_id = String(sdp.origin.sessionId);
+    if (sdp.origin.sessionVersion !== undefined) fields.sdp_session_version = String(sdp.origin.sessionVersion);
+    if (sdp.origin.address) fields.sdp_origin_ip = sdp.origin.address;
+  }
+
+  const sessionIp = sdp.connection && sdp.connection.ip;
+  if (sessionIp) fields.sdp_connection_ip = sessionIp;
+  if (sdp.direction) fields.sdp_direction = sdp.direction;
+
+  const media = Array.isArray(sdp.media) ? sdp.media : [];
+  const allCodecs = [];
+  fields.sdp_media_count = media.length;
+
+  for (const stream of media) {
+    const codecs = (stream.rtp || []).map(rtp => rtp.codec);
+    allCodecs.push(...codecs);
+
+    // One set of columns per media type; the first stream of each type wins
+    const prefix = `sdp_${String(stream.type).toLowerCase()}`;
+    if (fields[`${prefix}_port`] !== undefined) continue;
+
+    const ip = (stream.connection && stream.connection.ip) || sessionIp;
+    if (ip) fields[`${prefix}_ip`] = ip;
+    fields[`${prefix}_port`] = parseInt(stream.port, 10);
+    if (stream.rtcp && stream.rtcp.port) fields[`${prefix}_rtcp_port`] = parseInt(stream.rtcp.port, 10);
+    if (stream.protocol) fields[`${prefix}_protocol`] = stream.protocol;
+    if (codecs.length) fields[`${prefix}_codecs`] = codecs.join(',');
+
+    const direction = stream.direction || sdp.direction;
+    if (direction) fields[`${prefix}_direction`] = direction;
+  }
+
+  if (allCodecs.length) fields.sdp_codecs = [...new Set(allCodecs)].join(',');
+
+  return fields;
+}
+
+export default extractSdpFields;
@@ -0,0 +1,204 @@
+/**
+ * HEP Record Serializers
+ *
+ * The converter turns every packet into a typed record: a measurement name, tags,
+ * fields, a BigInt timestamp in nanoseconds and the type of every field. Serializers
+ * encode records for a destination, so tools other than the Line Protocol sinks (Loki,
+ * Kafka consumers, tests) reuse the same extraction:
+ *
+ *   lp        InfluxDB Line Protocol, one line per record
+ *   ndjson    One JSON object per record and line
+ *   columnar  A batch as columns per measurement, for Arrow/Parquet style consumers
+ *
+ * A serializer is an object with `serialize(record)` and, optionally,
+ * `serializeBatch(records)`; without it a batch is serialized record by record and
+ * joined with newlines.
+ */
+
+/**
+ * Type of a field value
+ * @param {*} value - Field value
+ * @param {string} pinned - Type set by a decoder or the schema mapping, if any
+ * @returns {string} 'integer', 'float', 'string' or 'boolean'
+ */
+function fieldType(value, pinned) {
+  if (typeof value === 'number') {
+    if (pinned === 'integer' || pinned === 'float') return pinned;
+    return Number.isInteger(value) ? 'integer' : 'float';
+  }
+  if (typeof value === 'boolean') return 'boolean';
+  return 'string';
+}
+
+/**
+ * Give every field of a record a type: values without a value are dropped, objects
+ * become JSON strings and numbers are integers unless pinned as floats
+ * @param {Object} record - Record with measurement, tags, fields, timestamp and optional types
+ * @returns {Object} Record with string tags, a type for every field and a BigInt timestamp
+ */
+export function typeRecord(record) {
+  const tags = {};
+  for (const [key, value] of Object.entries(record.tags || {})) {
+    if (value !== null && value !== undefined && value !== '') tags[key] = String(value);
+  }
+
+  const fields = {};
+  const types = {};
+  const pinned = record.types || {};
+  for (const [key, value] of Object.entries(record.fields || {})) {
+    // Line Protocol has no notation for missing or infinite values
+    if (value === null || value === undefined) continue;
+    if (typeof value === 'number' && !Number.isFinite(value)) continue;
+
+    const type = fieldType(value, pinned[key]);
+    if (type === 'integer') fields[key] = Math.trunc(value);
+    else if (type === 'string') fields[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    else fields[key] = value;
+    types[key] = type;
+  }
+
+  // Records built outside the converter may carry a number of nanoseconds
+  const timestamp = typeof record.timestamp === 'number' ? BigInt(Math.trunc(record.timestamp)) : record.timestamp;
+  return { ...record, tags, fields, types, timestamp };
+}
+
+/**
+ * Escape special characters in line protocol key names
+ * @param {string} key - Key name to escape
+ * @returns {string} Escaped key name
+ */
+export function escapeKey(key) {
+  if (typeof key !== 'string') return key;
+  return key.replace(/[ ,=]/g, '\\$&');
+}
+
+/**
+ * Escape special characters in tag values
+ * @param {string} value - Tag value to escape
+ * @returns {string} Escaped tag value
+ */
+export function escapeTagValue(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[ ,=]/g, '\\$&');
+}
+
+/**
+ * Escape special characters in field values
+ * @param {string} value - Field value to escape
+ * @returns {string} Escaped field value
+ */
+export function escapeFieldValue(value) {
+  if (value === null || value === undefined) return '';
+  // Replace newlines with \r\n and escape quotes and backslashes
+  return String(value)
+    .replace(/\r\n|\n|\r/g, '\\r\\n')
+    .replace(/["\\]/g, '\\$&');
+}
+
+// InfluxDB Line Protocol: <measurement>,<tag_set> <field_set> <timestamp>
+export const lineProtocolSerializer = {
+  serialize({ measurement, tags, fields, timestamp, types = {} }) {
+    // Make sure there are at least some tags to avoid syntax errors
+    if (Object.keys(tags).length === 0) {
+      tags = { source: 'hep' };
+    }
+
+    const tagString = Object.entries(tags)
+      .map(([key, value]) => `${escapeKey(key)}=${escapeTagValue(value)}`)
+      .join(',');
+
+    const fieldString = Object.entries(fields)
+      .map(([key, value]) => {
+        if (value === null || value === undefined) return null;
+        // Records from typeRecord() carry every type; others are inferred here
+        switch (types[key] || fieldType(value)) {
+          case 'integer':
+            return `${escapeKey(key)}=${Math.trunc(value)}i`;
+          case 'float':
+          case 'boolean':
+            return `${escapeKey(key)}=${value}`;
+          default: {
+            const text = typeof value === 'object' ? JSON.stringify(value) : value;
+            return `${escapeKey(key)}="${escapeFieldValue(text)}"`;
+          }
+        }
+      })
+      .filter(Boolean)
+      .join(',');
+
+    return `${measurement},${tagString} ${fieldString} ${timestamp}`;
+  }
+};
+
+// One JSON object per line; types tell integer fields from whole floats. The timestamp
+// is a string, as JSON numbers cannot hold nanoseconds since the epoch exactly
+export const ndjsonSerializer = {
+  serialize({ measurement, tags, fields, timestamp, types = {} }) {
+    return JSON.stringify({ measurement, tags, fields, types, timestamp: String(timestamp) });
+  }
+};
+
+// Columns per measurement, tag columns typed as 'tag' and BigInt timestamps; values a
+// record lacks are null
+export const columnarSerializer = {
+  serialize(record) {
+    return this.serializeBatch([record]);
+  },
+
+  /**
+   * @param {Array<Object>} records - Typed records
+   * @returns {Object} `{ <measurement>: { rows, types, columns } }`; a field seen both
+   *   as integer and float becomes a float column, other mixes a string column
+   */
+  serializeBatch(records) {
+    const tables = {};
+    for (const record of records) {
+      let table = tables[record.measurement];
+      if (!table) {
+        table = tables[record.measurement] = { rows: 0, types: { timestamp: 'timestamp' }, columns: { timestamp: [] } };
+      }
+      const row = table.rows++;
+
+      const set = (name, value, type) => {
+        let column = table.columns[name];
+        if (!column) {
+          column = table.columns[name] = new Array(row).fill(null);
+          table.types[name] = type;
+        } else if (table.types[name] !== type) {
+          const numeric = ['integer', 'float'];
+          if (numeric.includes(table.types[name]) && numeric.includes(type)) {
+            table.types[name] = 'float';
+          } else if (table.types[name] !== 'string') {
+            table.types[name] = 'string';
+            for (let i = 0; i < column.length; i++) {
+              if (column[i] !== null) column[i] = String(column[i]);
+            }
+          }
+        }
+        column.push(table.types[name] === 'string' ? String(value) : value);
+      };
+
+      table.columns.timestamp.push(record.timestamp);
+      const types = record.types || {};
+      for (const [key, value] of Object.entries(record.tags)) set(key, value, 'tag');
+      for (const [key, value] of Object.entries(record.fields)) {
+        if (value !== null && value !== undefined) set(key, value, types[key] || fieldType(value));
+      }
+
+      // Columns this record has no value for
+      for (const column of Object.values(table.columns)) {
+        if (column.length === row) column.push(null);
+      }
+    }
+    return tables;
+  }
+};
+
+// Serializers every converter starts with, by format name
+export const defaultSerializers = {
+  lp: lineProtocolSerializer,
+  ndjson: ndjsonSerializer,
+  columnar: columnarSerializer
+};
+
+export default defaultSerializers;
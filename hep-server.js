@@ -6,39 +6,313 @@
  */
 
 import HepToLineProtocolConverter from './hep-proto.js';
+import HepStreamFramer from './hep-framer.js';
+import HepMetrics from './hep-metrics.js';
+import HepAdminServer from './hep-admin.js';
+import HepDialogTracker from './hep-dialogs.js';
+import HepRegistrationTracker from './hep-registrations.js';
+import HepAlertDetector from './hep-alerts.js';
+import HepRuleEngine from './hep-rules.js';
+import HepTenantRouter from './hep-tenants.js';
+import HepCaptureAuth, { certificateNames } from './hep-auth.js';
+import HepClockMonitor, { hepTimestampNs, nowNs } from './hep-clock.js';
+import HepWorkerPool, { configureConverter } from './hep-workers.js';
+import HepSchemaMapper from './hep-schema.js';
+import HepRedactor from './hep-redact.js';
+import { createHepSink } from './hep-sinks.js';
+import HepForwarder from './hep-forward.js';
 import hepjs from 'hep-js';
-import axios from 'axios';
-import fs from 'fs';
+import { resolveConfig, readDataFile, diffConfig, CONFIG_SCHEMA } from './hep-config.js';
 import path from 'path';
 
 class HepToInfluxDBServer {
   constructor(config = {}) {
-    this.config = {
-      hepPort: config.hepPort || process.env.PORT || 9060,
-      hepBindAddress: config.hepBindAddress || process.env.HOST || '0.0.0.0',
-      influxDbUrl: config.influxDbUrl || process.env.INFLUX_DBURL || 'http://localhost:7971',
-      influxDbDatabase: config.influxDbDatabase || process.env.INFLUXB_DBNAME || 'hep',
-      batchSize: config.batchSize || process.env.BATCH_SIZE || 1000,
-      flushInterval: config.flushInterval || process.env.FLUSH_INTERVAL || 5000, // ms
-      maxBufferSize: config.maxBufferSize || process.env.MAX_BUFFER || 10000,
-      debug: config.debug || false,
-      writeToFile: config.writeToFile || false,
-      outputDir: config.outputDir || './data'
-    };
+    // Options given in code keep priority over the environment and the config file on reload
+    this.options = config;
+    this.config = this.loadConfig();
 
-    this.buffer = [];
-    this.lastFlushTime = Date.now();
     this.converter = new HepToLineProtocolConverter();
-    this.converter.setDebug(this.config.debug);
+    // Threads converting packets off the event loop, started with the pipeline
+    this.workerPool = null;
+    this.applyConverterSettings();
+
+    // Capture agent credentials, checked before anything else
+    this.auth = new HepCaptureAuth({
+      credentials: this.config.captureCredentials,
+      password: this.config.capturePass,
+      allow: this.config.captureAllow
+    });
+
+    // Capture times checked against the relay's clock, with the skew of every agent
+    this.clock = new HepClockMonitor(this.getClockSettings());
+
+    // Filtering, sampling and routing rules, applied before conversion
+    this.ruleEngine = new HepRuleEngine({ rules: this.config.rules });
+
+    // Databases of the customers sharing the relay, by capture agent
+    this.tenants = new HepTenantRouter({ tenants: this.config.tenants });
+
+    // Per-call summary records built from the SIP messages the converter parses
+    if (this.config.trackDialogs) {
+      this.dialogTracker = new HepDialogTracker({
+        maxDialogs: this.config.maxDialogs,
+        setupTimeout: this.config.dialogSetupTimeout,
+        callTimeout: this.config.dialogCallTimeout,
+        onRecord: (record) => this.bufferRecord(record)
+      });
+      this.converter.addSipListener((message, header) => this.dialogTracker.process(message, header));
+    }
+
+    // Per-attempt registration records built from REGISTER transactions
+    if (this.config.trackRegistrations) {
+      this.registrationTracker = new HepRegistrationTracker({
+        maxPending: this.config.maxRegistrations,
+        timeout: this.config.registrationTimeout,
+        onRecord: (record) => this.bufferRecord(record)
+      });
+      this.converter.addSipListener((message, header) => this.registrationTracker.process(message, header));
+    }
+
+    // Scanner, brute force and flood alerts raised from the SIP messages the converter parses
+    if (this.config.detectAlerts) {
+      this.alertDetector = new HepAlertDetector({
+        ...this.getAlertSettings(),
+        onRecord: (record) => this.bufferRecord(record)
+      });
+      this.converter.addSipListener((message, header) => this.alertDetector.process(message, header));
+    }
+
+    // Destinations every record is written to, each batching on its own
+    this.sinks = this.createSinks();
+    // Records held back while a reload swaps sinks
+    this.pendingLines = null;
+
+    // Downstream HEP collectors that receive a copy of every accepted packet
+    this.forwarder = this.createForwarder();
     
     // Statistics
     this.stats = {
       packetsReceived: 0,
       packetsConverted: 0,
-      batchesSent: 0,
       conversionErrors: 0,
-      sendErrors: 0
+      framingErrors: 0,
+      tcpConnections: 0,
+      tlsConnections: 0,
+      tlsHandshakes: 0,
+      tlsHandshakeErrors: 0,
+      tlsErrors: 0,
+      packetsRejected: 0,
+      packetsQuarantined: 0,
+      configReloads: 0,
+      configReloadErrors: 0
     };
+
+    this.metrics = new HepMetrics();
+    this.registerMetrics();
+  }
+
+  /**
+   * Resolve the configuration from the constructor options, environment and config file
+   * @returns {Object} Configuration
+   */
+  loadConfig() {
+    const config = resolveConfig(this.options);
+    config.queueDir = config.queueDir || path.join(config.outputDir, 'queue');
+    return config;
+  }
+
+  /**
+   * Apply the converter and redaction settings of the current configuration
+   */
+  applyConverterSettings() {
+    const settings = this.getConverterSettings();
+    this.redactor = configureConverter(this.converter, settings);
+    if (this.workerPool) {
+      this.workerPool.configure(settings);
+    }
+  }
+
+  /**
+   * Get the converter and redaction settings of a configuration
+   * @param {Object} config - Configuration, the current one by default
+   * @returns {Object} Settings, as taken by configureConverter()
+   */
+  getConverterSettings(config = this.config) {
+    return {
+      debug: config.debug,
+      sipHeaders: config.sipHeaders,
+      includeParsedValues: config.includeParsedValues,
+      parseSdp: config.parseSdp,
+      storeCapturePass: config.storeCapturePass,
+      schema: config.schema,
+      redaction: {
+        numbers: config.redactNumbers,
+        keepDigits: config.redactKeepDigits,
+        hashKey: config.redactHashKey,
+        stripHeaders: config.redactHeaders,
+        stripSdp: config.redactSdp,
+        dropPayloadTypes: config.dropPayloadTypes
+      }
+    };
+  }
+
+  /**
+   * Get the timestamp policy of the current configuration
+   * @returns {Object} Settings, as taken by HepClockMonitor
+   */
+  getClockSettings() {
+    return {
+      policy: this.config.timestampPolicy,
+      maxFutureSkew: this.config.maxFutureSkew,
+      maxPastSkew: this.config.maxPastSkew
+    };
+  }
+
+  /**
+   * Get the alert window, thresholds and webhook of a configuration
+   * @param {Object} config - Configuration, the current one by default
+   * @returns {Object} Settings, as taken by HepAlertDetector
+   */
+  getAlertSettings(config = this.config) {
+    return {
+      window: config.alertWindow,
+      scannerThreshold: config.scannerThreshold,
+      scannerUserAgents: config.scannerUserAgents,
+      registerFailureThreshold: config.registerFailureThreshold,
+      inviteThreshold: config.inviteThreshold,
+      webhookUrl: config.alertWebhookUrl
+    };
+  }
+
+  /**
+   * Register Prometheus metrics; most are read straight from stats when scraped
+   */
+  registerMetrics() {
+    const stat = (name) => () => this.getStats()[name];
+
+    this.packetCounter = this.metrics.counter('packets_converted_total',
+      'HEP packets converted, by measurement');
+    this.metrics.counter('packets_received_total', 'HEP packets received', stat('packetsReceived'));
+    this.metrics.counter('conversion_errors_total', 'HEP packets that failed conversion', stat('conversionErrors'));
+    this.metrics.counter('packets_rejected_total', 'HEP packets rejected by capture authentication', stat('packetsRejected'));
+    this.metrics.counter('packets_quarantined_total', 'HEP packets quarantined by capture authentication', stat('packetsQuarantined'));
+    this.metrics.counter('auth_failures_total', 'Failed capture authentication checks, by reason',
+      () => Object.entries(this.auth.getFailures()).map(([reason, value]) => ({ labels: { reason }, value })));
+    this.metrics.counter('packets_filtered_total', 'HEP packets dropped by a rule', stat('packetsFiltered'));
+    this.metrics.counter('packets_sampled_out_total', 'HEP packets dropped by a sampling rule', stat('packetsSampledOut'));
+    this.metrics.counter('packets_routed_total', 'HEP packets routed to another database or measurement', stat('packetsRouted'));
+    this.metrics.counter('rule_matches_total', 'HEP packets matched, by rule',
+      () => this.ruleEngine.getRuleMatches().map(({ rule, matches }) => ({ labels: { rule }, value: matches })));
+    this.metrics.counter('tenant_packets_total', 'HEP packets written to a tenant database, by tenant',
+      () => this.tenants.getTenantPackets().map(({ tenant, database, packets }) => ({ labels: { tenant, database }, value: packets })));
+    this.metrics.counter('tenant_packets_unmatched_total', 'HEP packets of no tenant, written to the default database', stat('tenantPacketsUnmatched'));
+    if (this.config.detectAlerts) {
+      this.metrics.counter('alerts_total', 'SIP alerts raised, by alert',
+        () => Object.entries(this.alertDetector.getAlerts()).map(([alert, value]) => ({ labels: { alert }, value })));
+      this.metrics.counter('alert_webhook_errors_total', 'Alert webhook posts that failed', stat('alertWebhookErrors'));
+      this.metrics.counter('alert_webhook_dropped_total', 'Alerts not posted because the webhook queue was full', stat('alertWebhooksDropped'));
+    }
+    this.metrics.counter('config_reloads_total', 'Configuration reloads applied', stat('configReloads'));
+    this.metrics.counter('config_reload_errors_total', 'Configuration reloads rejected as invalid', stat('configReloadErrors'));
+    this.metrics.counter('framing_errors_total', 'Framing errors on TCP streams', stat('framingErrors'));
+    this.metrics.counter('timestamps_missing_total', 'HEP packets without a capture time', stat('timestampsMissing'));
+    this.metrics.counter('timestamps_out_of_range_total', 'HEP packets with a capture time outside the allowed skew', stat('timestampsOutOfRange'));
+    this.metrics.counter('timestamps_adjusted_total', 'Capture times replaced or clamped by the timestamp policy', stat('timestampsAdjusted'));
+    this.metrics.counter('timestamps_rejected_total', 'HEP packets dropped by the timestamp policy', stat('timestampsRejected'));
+    this.metrics.gauge('agent_clock_skew_seconds', 'Average capture time minus receive time, by capture agent',
+      () => this.clock.getSkews().map(({ captureId, skew }) => ({ labels: { capture_id: String(captureId) }, value: skew })));
+    if (this.config.workers > 0) {
+      this.metrics.gauge('worker_queue_packets', 'HEP packets waiting for or being converted by a worker', stat('workerQueueDepth'));
+      this.metrics.counter('worker_packets_dropped_total', 'HEP packets dropped because the worker queue was full', stat('workerPacketsDropped'));
+      this.metrics.counter('worker_failures_total', 'Conversion workers that failed and were restarted', stat('workerFailures'));
+    }
+    this.metrics.counter('tls_handshakes_total', 'Completed TLS handshakes', stat('tlsHandshakes'));
+    this.metrics.counter('tls_handshake_errors_total', 'Failed TLS handshakes, including rejected client certificates', stat('tlsHandshakeErrors'));
+    this.metrics.counter('tls_errors_total', 'Errors on TLS connections', stat('tlsErrors'));
+    this.metrics.counter('send_errors_total', 'Failed batch writes', stat('sendErrors'));
+    this.metrics.counter('batches_sent_total', 'Batches written to the sink', stat('batchesSent'));
+    this.metrics.counter('batches_retried_total', 'Batch writes scheduled for retry', stat('batchesRetried'));
+    this.metrics.counter('batches_rejected_total', 'Batches rejected by the sink', stat('batchesRejected'));
+    this.metrics.counter('records_dropped_total', 'Records dropped because the queue was full', stat('recordsDropped'));
+    this.metrics.counter('queue_errors_total', 'Write queue operations that failed outside a batch write', stat('queueErrors'));
+    this.metrics.gauge('buffer_records', 'Records waiting in the batch buffer', stat('bufferSize'));
+    this.metrics.gauge('queue_batches', 'Batches waiting in the write queue', stat('queueDepth'));
+    this.metrics.gauge('queue_records', 'Records waiting in the write queue', stat('queuedRecords'));
+    this.metrics.gauge('queue_disk_bytes', 'Bytes of spilled batches on disk', stat('queueDiskBytes'));
+    this.batchLatency = this.metrics.histogram('batch_write_seconds', 'Time taken to write a batch, by sink');
+
+    // The same figures per sink
+    const sinkStat = (name) => () => this.sinks.map(sink => ({ labels: { sink: sink.name }, value: sink.getStats()[name] }));
+    this.metrics.counter('sink_batches_sent_total', 'Batches written, by sink', sinkStat('batchesSent'));
+    this.metrics.counter('sink_send_errors_total', 'Failed batch writes, by sink', sinkStat('sendErrors'));
+    this.metrics.counter('sink_records_dropped_total', 'Records dropped because the queue was full, by sink', sinkStat('recordsDropped'));
+    this.metrics.gauge('sink_queue_records', 'Records waiting in the write queue, by sink', sinkStat('queuedRecords'));
+
+    // Forwarding, per target
+    const forwardStat = (name) => () => this.forwarder.targets.map(target => ({ labels: { target: target.name }, value: target.getStats()[name] }));
+    this.metrics.counter('forward_packets_total', 'HEP packets forwarded, by target', forwardStat('packetsForwarded'));
+    this.metrics.counter('forward_dropped_total', 'HEP packets dropped instead of forwarded, by target', forwardStat('packetsDropped'));
+    this.metrics.gauge('forward_queue_packets', 'HEP packets waiting to be forwarded, by target', forwardStat('queueLength'));
+  }
+
+  /**
+   * Create the configured sinks. Without a `sinks` list the legacy options describe a
+   * single GigAPI or file sink, which keeps using the queue directory as before.
+   * @param {Object} config - Configuration, defaults to the current one
+   * @returns {Array<HepSink>} Sinks
+   */
+  createSinks(config = this.config) {
+    const legacy = !config.sinks;
+    const sinks = config.sinks || [config.writeToFile
+      ? { type: 'file', name: 'file', dir: config.outputDir, format: config.fileFormat }
+      : { type: 'gigapi', name: 'gigapi', url: config.influxDbUrl }];
+
+    if (!Array.isArray(sinks) || sinks.length === 0) {
+      throw new Error('At least one sink must be configured');
+    }
+
+    const names = new Set();
+    return sinks.map((options, index) => {
+      const name = options.name || (sinks.length > 1 ? `${options.type}_${index}` : options.type);
+      if (names.has(name)) {
+        throw new Error(`Duplicate sink name '${name}'`);
+      }
+      names.add(name);
+
+      // Sink options fall back to the relay-wide settings
+      return createHepSink({
+        database: config.influxDbDatabase,
+        url: config.influxDbUrl,
+        dir: config.outputDir,
+        batchSize: config.batchSize,
+        flushInterval: config.flushInterval,
+        maxBufferSize: config.maxBufferSize,
+        spillToDisk: config.spillToDisk,
+        maxQueueDiskBytes: config.maxQueueDiskBytes,
+        dropPolicy: config.dropPolicy,
+        retryBaseDelay: config.retryBaseDelay,
+        retryMaxDelay: config.retryMaxDelay,
+        parquetRowGroupSize: config.parquetRowGroupSize,
+        parquetMaxRowsPerFile: config.parquetMaxRowsPerFile,
+        parquetRotateInterval: config.parquetRotateInterval,
+        debug: config.debug,
+        ...options,
+        name,
+        queueDir: options.queueDir || (legacy ? config.queueDir : path.join(config.queueDir, name)),
+        onWrite: (seconds) => this.batchLatency.observe(seconds, { sink: name })
+      });
+    });
+  }
+
+  /**
+   * Create the forwarder for the configured targets
+   * @returns {HepForwarder} Forwarder, not yet opened
+   */
+  createForwarder() {
+    return new HepForwarder({
+      targets: this.config.forwardTargets,
+      defaults: { maxQueue: this.config.forwardQueueSize, debug: this.config.debug }
+    });
   }
 
   /**
@@ -46,22 +320,27 @@ class HepToInfluxDBServer {
    */
   async initialize() {
     try {
-      // Ensure output directory exists if writing to file
-      if (this.config.writeToFile) {
-        await fs.promises.mkdir(this.config.outputDir, { recursive: true });
-      }
+      await this.openPipeline();
       
       // Start the server
       await this.startServer();
+
+      // Start the admin API
+      if (this.config.adminPort > 0) {
+        this.adminServer = new HepAdminServer(this, {
+          hostname: this.config.adminBindAddress,
+          port: this.config.adminPort
+        });
+        this.adminServer.start();
+      }
       
-      // Set up the flush interval
-      this.flushIntervalId = setInterval(() => {
-        this.conditionalFlush();
-      }, this.config.flushInterval);
+      // Set up the interval expiring tracked calls and registrations
+      this.startHousekeeping();
       
-      // Register signal handlers for graceful shutdown
+      // Register signal handlers for graceful shutdown and configuration reload
       process.on('SIGTERM', this.shutdown.bind(this));
       process.on('SIGINT', this.shutdown.bind(this));
+      process.on('SIGHUP', this.reload.bind(this));
       
       console.log(`HEP to InfluxDB Server initialized with config:`, this.config);
       
@@ -73,6 +352,220 @@ class HepToInfluxDBServer {
     }
   }
 
+  /**
+   * Load rules, tenants and credentials, and open the sinks and forward targets
+   */
+  async openPipeline() {
+    if (this.config.rulesFile) {
+      await this.loadRules(this.config.rulesFile);
+    }
+
+    if (this.config.tenantsFile) {
+      await this.loadTenants(this.config.tenantsFile);
+    }
+
+    if (this.config.credentialsFile) {
+      await this.loadCredentials(this.config.credentialsFile);
+    }
+
+    // Open the sinks; each picks up batches a previous run could not deliver
+    for (const sink of this.sinks) {
+      await sink.open();
+    }
+
+    await this.forwarder.open();
+
+    if (this.config.workers > 0) {
+      this.workerPool = new HepWorkerPool({
+        workers: this.config.workers,
+        batchSize: this.config.workerBatchSize,
+        ordered: this.config.workerOrdered,
+        maxQueue: this.config.workerMaxQueue,
+        settings: this.getConverterSettings(),
+        collectSip: this.converter.sipListeners.length > 0,
+        onResult: (result, data, context) => this.handleConverted(result, data, context),
+        debug: this.config.debug
+      });
+      await this.workerPool.open();
+    }
+  }
+
+  /**
+   * Close the forward targets and flush and close the sinks
+   */
+  async closePipeline() {
+    // Packets still with the workers are stored before the sinks close
+    if (this.workerPool) {
+      await this.workerPool.close();
+      this.workerPool = null;
+    }
+
+    this.forwarder.close();
+
+    // Flush remaining data; whatever could not be delivered is replayed on the next start
+    await Promise.all(this.sinks.map(sink => sink.close().catch(error => {
+      console.error(`Error closing sink ${sink.name}:`, error);
+    })));
+  }
+
+  /**
+   * Start the interval expiring tracked calls and registrations
+   */
+  startHousekeeping() {
+    if (this.flushIntervalId) {
+      clearInterval(this.flushIntervalId);
+    }
+    this.flushIntervalId = setInterval(() => {
+      this.conditionalFlush();
+    }, this.config.flushInterval);
+  }
+
+  /**
+   * Reload the configuration, on SIGHUP. A configuration with any invalid setting,
+   * rule or credential is rejected as a whole and the running one is kept. Sinks whose
+   * settings did not change keep running; changed sinks are flushed and closed before
+   * their replacements open, and records arriving meanwhile are held, so nothing
+   * buffered is dropped.
+   * @returns {Promise<boolean>} True if the new configuration was applied
+   */
+  async reload() {
+    const previous = this.config;
+    let config;
+    let rules;
+    let tenants;
+    let credentials;
+    let sinks;
+
+    try {
+      config = this.loadConfig();
+      rules = config.rulesFile ? readDataFile(config.rulesFile) : config.rules;
+      tenants = config.tenantsFile ? readDataFile(config.tenantsFile) : config.tenants;
+      credentials = config.credentialsFile ? readDataFile(config.credentialsFile) : config.captureCredentials;
+
+      // Build everything that can fail before changing anything
+      new HepRuleEngine({ rules });
+      new HepTenantRouter({ tenants });
+      new HepCaptureAuth({ credentials, password: config.capturePass, allow: config.captureAllow });
+      new HepSchemaMapper(config.schema);
+      new HepRedactor(this.getConverterSettings(config).redaction);
+      new HepAlertDetector(this.getAlertSettings(config));
+      sinks = this.createSinks(config);
+    } catch (error) {
+      this.stats.configReloadErrors++;
+      console.error(`Configuration reload failed, keeping the current configuration: ${error.message}`);
+      return false;
+    }
+
+    const changed = diffConfig(previous, config);
+    const needRestart = changed.filter(key => CONFIG_SCHEMA[key].restart);
+    if (needRestart.length > 0) {
+      console.warn(`Configuration changes to ${needRestart.join(', ')} take effect after a restart`);
+      for (const key of needRestart) config[key] = previous[key];
+    }
+    this.config = config;
+
+    this.applyConverterSettings();
+    this.ruleEngine.setRules(rules);
+    this.tenants.setTenants(tenants);
+    this.auth.setCredentials({ credentials, password: config.capturePass, allow: config.captureAllow });
+    this.clock.configure(this.getClockSettings());
+    if (this.alertDetector) {
+      this.alertDetector.configure(this.getAlertSettings());
+    }
+    await this.replaceSinks(sinks);
+
+    if (changed.some(key => ['forwardTargets', 'forwardQueueSize', 'debug'].includes(key))) {
+      const forwarder = this.createForwarder();
+      await forwarder.open();
+      const previousForwarder = this.forwarder;
+      this.forwarder = forwarder;
+      previousForwarder.close();
+    }
+
+    if (changed.includes('flushInterval') && this.flushIntervalId) {
+      this.startHousekeeping();
+    }
+
+    this.stats.configReloads++;
+    console.log(`Configuration reloaded${changed.length > 0 ? `, changed: ${changed.join(', ')}` : ', nothing changed'}`);
+    return true;
+  }
+
+  /**
+   * Switch to a new set of sinks, keeping the running sinks whose settings are unchanged
+   * @param {Array<HepSink>} candidates - Sinks built from the new configuration, not yet opened
+   */
+  async replaceSinks(candidates) {
+    const running = new Map(this.sinks.map(sink => [sink.name, sink]));
+    const sinks = [];
+    const opening = [];
+
+    for (const candidate of candidates) {
+      const current = running.get(candidate.name);
+      if (current && current.settings === candidate.settings) {
+        sinks.push(current);
+        running.delete(candidate.name);
+      } else {
+        sinks.push(candidate);
+        opening.push(candidate);
+      }
+    }
+    const closing = [...running.values()];
+    if (closing.length === 0 && opening.length === 0) return;
+
+    // Hold records back until the swap is done; a replaced sink shares its queue directory
+    this.pendingLines = [];
+    try {
+      await Promise.all(closing.map(sink => sink.close().catch(error => {
+        console.error(`Error closing sink ${sink.name}:`, error);
+      })));
+      for (const sink of opening) {
+        await sink.open();
+      }
+    } finally {
+      this.sinks = sinks;
+      const pending = this.pendingLines;
+      this.pendingLines = null;
+      for (const { lineProtocol, database } of pending) {
+        this.bufferLine(lineProtocol, database);
+      }
+    }
+  }
+
+  /**
+   * Load packet rules from a YAML or JSON file
+   * @param {string} filePath - Path to a list of rules
+   */
+  async loadRules(filePath) {
+    const rules = readDataFile(filePath);
+    this.ruleEngine.setRules(rules);
+    console.log(`Loaded ${this.ruleEngine.rules.length} packet rules from ${filePath}`);
+  }
+
+  /**
+   * Load tenants from a YAML or JSON file
+   * @param {string} filePath - Path to a list of tenants
+   */
+  async loadTenants(filePath) {
+    const tenants = readDataFile(filePath);
+    this.tenants.setTenants(tenants);
+    console.log(`Loaded ${this.tenants.tenants.length} tenants from ${filePath}`);
+  }
+
+  /**
+   * Load capture agent credentials from a YAML or JSON file
+   * @param {string} filePath - Path to a list of credentials
+   */
+  async loadCredentials(filePath) {
+    const credentials = readDataFile(filePath);
+    this.auth.setCredentials({
+      credentials,
+      password: this.config.capturePass,
+      allow: this.config.captureAllow
+    });
+    console.log(`Loaded ${credentials.length} capture credentials from ${filePath}`);
+  }
+
   /**
    * Start the HEP server
    */
@@ -87,50 +580,152 @@ class HepToInfluxDBServer {
         port: port,
         udp: true,
         socket: {
-          data: (socket, data) => this.handleData(data, socket),
+          data: (socket, data, port, address) => this.handleData(data, socket, address),
           error: (socket, error) => console.error('UDP error:', error),
         }
       });
       
-      // Create TCP Server
+      // Create TCP Server; each connection gets its own framer to split the stream
       this.tcpServer = Bun.listen({
         hostname: host,
         port: port,
         socket: {
-          data: (socket, data) => this.handleData(data, socket),
+          open: (socket) => {
+            this.stats.tcpConnections++;
+            socket.data = { framer: this.createFramer() };
+          },
+          data: (socket, data) => this.handleStreamData(data, socket),
+          close: (socket) => {
+            if (socket.data && socket.data.framer) socket.data.framer.end();
+          },
           error: (socket, error) => console.error('TCP error:', error),
         }
       });
       
       console.log(`HEP Server listening on ${host}:${port} (TCP/UDP)`);
+
+      if (this.config.tlsPort > 0) {
+        this.startTlsServer();
+      }
     } catch (error) {
       console.error(`Failed to start server:`, error);
       throw error;
     }
   }
 
+  /**
+   * Start the TLS listener, for agents sending across untrusted networks. With
+   * tlsVerifyClient, connections without a client certificate signed by tlsCa are
+   * refused, and the certificate's names are checked against the capture credentials.
+   */
+  startTlsServer() {
+    const host = this.config.tlsBindAddress || this.config.hepBindAddress;
+    const port = this.config.tlsPort;
+    const verifyClient = this.config.tlsVerifyClient;
+
+    this.tlsServer = Bun.listen({
+      hostname: host,
+      port: port,
+      tls: {
+        cert: Bun.file(this.config.tlsCert),
+        key: Bun.file(this.config.tlsKey),
+        ca: this.config.tlsCa ? Bun.file(this.config.tlsCa) : undefined,
+        requestCert: verifyClient,
+        rejectUnauthorized: verifyClient
+      },
+      socket: {
+        open: (socket) => {
+          this.stats.tlsConnections++;
+          socket.data = { framer: this.createFramer(), certificate: null };
+        },
+        handshake: (socket, success, authorizationError) => this.handleHandshake(socket, success, authorizationError),
+        data: (socket, data) => this.handleStreamData(data, socket),
+        close: (socket) => {
+          if (socket.data && socket.data.framer) socket.data.framer.end();
+        },
+        error: (socket, error) => {
+          this.stats.tlsErrors++;
+          if (this.config.debug) {
+            console.error('TLS error:', error);
+          }
+        }
+      }
+    });
+
+    console.log(`HEP Server listening on ${host}:${port} (TLS${verifyClient ? ', client certificates required' : ''})`);
+  }
+
+  /**
+   * Handle the end of a TLS handshake
+   * @param {*} socket - Socket reference
+   * @param {boolean} success - Whether the handshake completed
+   * @param {Error} authorizationError - Why the client certificate was not accepted, if it was not
+   */
+  handleHandshake(socket, success, authorizationError) {
+    if (!success || authorizationError) {
+      this.stats.tlsHandshakeErrors++;
+      if (this.config.debug) {
+        console.warn(`TLS handshake failed from ${socket.remoteAddress}: ${authorizationError ? authorizationError.message : 'handshake error'}`);
+      }
+      socket.end();
+      return;
+    }
+
+    this.stats.tlsHandshakes++;
+    if (this.config.tlsVerifyClient) {
+      socket.data.certificate = certificateNames(socket.getPeerCertificate());
+    }
+  }
+
+  /**
+   * Create a stream framer for a new TCP connection
+   * @returns {HepStreamFramer} Framer reporting errors into server stats
+   */
+  createFramer() {
+    return new HepStreamFramer({
+      maxFrameSize: this.config.maxFrameSize,
+      onError: (reason) => {
+        this.stats.framingErrors++;
+        if (this.config.debug) {
+          console.error(`HEP framing error: ${reason}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Handle a chunk read from a TCP stream
+   * @param {Buffer} data - Raw stream data, possibly partial or several packets
+   * @param {*} socket - Socket reference
+   */
+  handleStreamData(data, socket) {
+    if (!socket.data || !socket.data.framer) {
+      socket.data = { framer: this.createFramer() };
+    }
+
+    for (const frame of socket.data.framer.push(data)) {
+      this.handleData(frame, socket, socket.remoteAddress);
+    }
+  }
+
   /**
    * Handle incoming HEP data
    * @param {Buffer} data - Raw HEP packet data
    * @param {*} socket - Socket reference
+   * @param {string} remoteAddress - Address of the sending agent
    */
-  handleData(data, socket) {
+  handleData(data, socket, remoteAddress) {
+    this.stats.packetsReceived++;
+    const certificate = socket && socket.data ? socket.data.certificate : null;
+
+    // With workers, decoding and conversion happen there; see handleConverted()
+    if (this.workerPool) {
+      this.workerPool.submit(data, { remoteAddress, certificate, received: nowNs() });
+      return;
+    }
+
     try {
-      this.stats.packetsReceived++;
-      
-      // Convert the HEP packet to Line Protocol
-      const lineProtocol = this.converter.convertPacket(data);
-      
-      if (lineProtocol) {
-        this.stats.packetsConverted++;
-        // Add to buffer
-        this.buffer.push(lineProtocol);
-        
-        // Flush if buffer size threshold is reached
-        if (this.buffer.length >= this.config.batchSize) {
-          this.flush();
-        }
-      }
+      this.acceptPacket(data, this.converter.decodePacket(data), remoteAddress, certificate);
     } catch (error) {
       this.stats.conversionErrors++;
       if (this.config.debug) {
@@ -140,91 +735,241 @@ class HepToInfluxDBServer {
   }
 
   /**
-   * Flush buffer if conditions are met
+   * Check that a decoded packet comes from a known agent, then process it
+   * @param {Buffer} data - Raw HEP packet data
+   * @param {Object} hepData - Decoded packet
+   * @param {string} remoteAddress - Address of the sending agent
+   * @param {Array<string>} certificate - Names of the agent's TLS client certificate, if any
    */
-  conditionalFlush() {
-    const now = Date.now();
-    const timeSinceLastFlush = now - this.lastFlushTime;
-    
-    // Flush if there are items in buffer and interval has passed
-    if (this.buffer.length > 0 && timeSinceLastFlush >= this.config.flushInterval) {
-      this.flush();
+  acceptPacket(data, hepData, remoteAddress, certificate) {
+    const authFailure = this.auth.authenticate(hepData.protocol_header, remoteAddress, certificate);
+
+    if (authFailure) {
+      if (this.config.debug) {
+        console.warn(`Capture authentication failed (${authFailure}) for agent ${hepData.protocol_header.captureId} from ${remoteAddress}`);
+      }
+      if (this.config.authFailureAction !== 'quarantine') {
+        this.stats.packetsRejected++;
+        return;
+      }
+      // Keep the packet aside for inspection, out of the regular databases
+      this.stats.packetsQuarantined++;
+      hepData.quarantined = true;
+      this.storePacket(hepData, this.config.quarantineDatabase);
+      return;
     }
+
+    // Checked once the agent is known, so unknown senders do not show up in the skew metric
+    if (!this.clock.check(hepData)) return;
+
+    this.processPacket(data, hepData, remoteAddress);
   }
 
   /**
-   * Flush buffer to InfluxDB
+   * Handle a packet converted by a worker
+   * @param {Object} result - Worker result: header, type, raw payload, record and SIP
+   *   summary, or error
+   * @param {Buffer} data - Raw HEP packet data
+   * @param {Object} context - Where the packet came from, as submitted
    */
-  async flush() {
-    if (this.buffer.length === 0) return;
-    
-    const data = this.buffer.join('\n');
-    this.buffer = [];
-    this.lastFlushTime = Date.now();
-    
-    try {
-      // Write to InfluxDB
-      if (!this.config.writeToFile) {
-        await this.sendToInfluxDB(data);
+  handleConverted(result, data, context) {
+    if (result.error) {
+      this.stats.conversionErrors++;
+      if (this.config.debug) {
+        console.error('Error handling HEP data:', result.error);
       }
-      
-      // Write to file if configured
-      if (this.config.writeToFile) {
-        await this.writeToFile(data);
+      return;
+    }
+
+    // Received when the packet was read, not when the worker got to it
+    const received = context.received || nowNs();
+    const hepData = {
+      protocol_header: result.header,
+      create_date: this.converter.getHepTimestamp(result.header),
+      timestamp: hepTimestampNs(result.header) ?? received,
+      received,
+      raw: result.raw,
+      packet: data,
+      type: result.type,
+      converted: result
+    };
+
+    try {
+      if (context.trusted) {
+        this.processPacket(data, hepData);
+      } else {
+        this.acceptPacket(data, hepData, context.remoteAddress, context.certificate);
       }
-      
-      this.stats.batchesSent++;
-      
+    } catch (error) {
+      this.stats.conversionErrors++;
       if (this.config.debug) {
-        console.log(`Flushed ${data.split('\n').length} records`);
+        console.error('Error handling HEP data:', error);
       }
-    } catch (error) {
-      this.stats.sendErrors++;
-      console.error('Error flushing data:', error);
     }
   }
 
   /**
-   * Send data to InfluxDB
-   * @param {string} data - Line Protocol formatted data
+   * Handle a HEP packet from a trusted local source (e.g. a capture file being
+   * replayed); capture authentication does not apply
+   * @param {Buffer} data - Raw HEP packet data
+   * @returns {Promise|undefined} With workers, a promise while the worker queue is full;
+   *   trusted sources wait for it instead of losing packets
    */
-  async sendToInfluxDB(data) {
-    const url = `${this.config.influxDbUrl}/write?db=${this.config.influxDbDatabase}`;
-    
-    try {
-      const response = await axios.post(url, data, {
-        headers: {
-          'Content-Type': 'text/plain'
-        }
-      });
-      
-      if (response.status !== 204) {
-        console.warn(`InfluxDB returned unexpected status: ${response.status}`);
+  ingestPacket(data) {
+    if (this.workerPool) {
+      if (this.workerPool.isFull()) {
+        return this.workerPool.waitForRoom().then(() => this.ingestPacket(data));
       }
+      this.stats.packetsReceived++;
+      this.workerPool.submit(data, { trusted: true });
+      return;
+    }
+
+    try {
+      this.stats.packetsReceived++;
+      this.processPacket(data, this.converter.decodePacket(data));
     } catch (error) {
-      console.error(`InfluxDB write error: ${error.message}`);
-      throw error;
+      this.stats.conversionErrors++;
+      if (this.config.debug) {
+        console.error('Error handling HEP data:', error);
+      }
     }
   }
 
   /**
-   * Write data to file
-   * @param {string} data - Line Protocol formatted data
+   * Forward an accepted packet, apply the rules and store it
+   * @param {Buffer} data - Raw HEP packet data
+   * @param {Object} hepData - Decoded packet
+   * @param {string} remoteAddress - Address of the sending agent, if it came from the network
+   */
+  processPacket(data, hepData, remoteAddress) {
+    // Collectors downstream get the packet whatever happens to it here
+    this.forwarder.forward(data, hepData);
+
+    // Decide what happens to the packet
+    const decision = this.ruleEngine.evaluate(hepData);
+    if (!decision.keep) return;
+    if (decision.measurement) hepData.measurement = decision.measurement;
+
+    // A rule routing to a database wins over the tenant of the agent
+    const database = decision.database || this.tenants.route(hepData.protocol_header, remoteAddress);
+    this.storePacket(hepData, database);
+  }
+
+  /**
+   * Convert a packet to Line Protocol and hand it to the sinks
+   * @param {Object} hepData - Decoded packet
+   * @param {string} database - Target database, defaults to each sink's database
    */
-  async writeToFile(data) {
+  storePacket(hepData, database) {
+    const converted = hepData.converted;
+    if (converted && converted.sip && !hepData.quarantined) {
+      this.converter.notifySipListeners(converted.sip, hepData.protocol_header);
+    }
+
+    let record;
+    let line;
     try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filePath = path.join(this.config.outputDir, `hep_${timestamp}.lp`);
-      
-      await fs.promises.writeFile(filePath, data);
-      
-      if (this.config.debug) {
-        console.log(`Wrote data to file: ${filePath}`);
+      if (converted && converted.recordError) throw new Error(converted.recordError);
+      // Packets converted by a worker come with their record and line, unless a rule renamed the measurement
+      if (converted && !hepData.measurement) {
+        record = converted.record;
+        line = converted.line;
+      } else {
+        record = this.converter.createRecord(hepData);
       }
+      // The timestamp policy may have moved the capture time
+      if (record.timestamp !== hepData.timestamp) {
+        record = { ...record, timestamp: hepData.timestamp };
+        line = undefined;
+      }
+      if (line === undefined) line = this.converter.serialize(record);
     } catch (error) {
-      console.error(`File write error: ${error.message}`);
-      throw error;
+      this.stats.conversionErrors++;
+      if (this.config.debug) {
+        console.error('Error creating record:', error);
+      }
+      return;
+    }
+
+    this.stats.packetsConverted++;
+    this.packetCounter.inc({ measurement: record.measurement });
+    this.bufferLine(line, database);
+  }
+
+  /**
+   * Add a record produced outside the packet path (e.g. call summaries) to the buffer
+   * @param {Object} record - Record with measurement, tags, fields and timestamp
+   */
+  bufferRecord(record) {
+    // Summaries go to the tenant of the agent that captured the traffic, before a schema renames capture_id
+    const database = this.tenants.routeRecord(record);
+    if (this.redactor.isEnabled()) {
+      record = { ...record, fields: this.redactor.redactFields(record.fields) };
+    }
+    record = this.converter.mapRecord(record);
+    this.packetCounter.inc({ measurement: record.measurement });
+    this.bufferLine(this.converter.serialize(record), database);
+  }
+
+  /**
+   * Hand a Line Protocol record to every sink
+   * @param {string} lineProtocol - Line Protocol record
+   * @param {string} database - Target database, defaults to each sink's database
+   */
+  bufferLine(lineProtocol, database) {
+    if (this.pendingLines) {
+      this.pendingLines.push({ lineProtocol, database });
+      return;
+    }
+    for (const sink of this.sinks) {
+      sink.write(lineProtocol, database);
+    }
+  }
+
+  /**
+   * Run periodic housekeeping; sinks flush on their own intervals
+   */
+  conditionalFlush() {
+    // Emit summaries of calls and registrations that went quiet
+    if (this.dialogTracker) {
+      this.dialogTracker.expire();
+    }
+    if (this.registrationTracker) {
+      this.registrationTracker.expire();
+    }
+    if (this.alertDetector) {
+      this.alertDetector.expire();
+    }
+  }
+
+  /**
+   * Flush every sink now
+   */
+  async flush() {
+    await Promise.all(this.sinks.map(sink => sink.flush()));
+  }
+
+  /**
+   * Check whether the sinks can currently be reached
+   * @returns {Promise<Array<Object>>} Sink descriptions with a reachable flag
+   */
+  async checkSinks() {
+    return Promise.all(this.sinks.map(sink => sink.check()));
+  }
+
+  /**
+   * Sum the statistics of every sink
+   * @returns {Object} Totals of the numeric sink statistics
+   */
+  getSinkTotals() {
+    const totals = {};
+    for (const sink of this.sinks) {
+      for (const [key, value] of Object.entries(sink.getStats())) {
+        if (typeof value === 'number') totals[key] = (totals[key] || 0) + value;
+      }
     }
+    return totals;
   }
 
   /**
@@ -234,7 +979,17 @@ class HepToInfluxDBServer {
   getStats() {
     return {
       ...this.stats,
-      bufferSize: this.buffer.length,
+      ...this.getSinkTotals(),
+      ...(this.dialogTracker ? this.dialogTracker.getStats() : {}),
+      ...(this.registrationTracker ? this.registrationTracker.getStats() : {}),
+      ...(this.alertDetector ? this.alertDetector.getStats() : {}),
+      ...this.auth.getStats(),
+      ...this.clock.getStats(),
+      ...this.ruleEngine.getStats(),
+      ...this.tenants.getStats(),
+      ...this.forwarder.getStats(),
+      ...(this.workerPool ? this.workerPool.getStats() : {}),
+      sinks: Object.fromEntries(this.sinks.map(sink => [sink.name, sink.getStats()])),
       uptime: process.uptime(),
       timestamp: new Date().toISOString()
     };
@@ -250,9 +1005,13 @@ class HepToInfluxDBServer {
     if (this.flushIntervalId) {
       clearInterval(this.flushIntervalId);
     }
-    
-    // Flush remaining data
-    await this.flush();
+
+    await this.closePipeline();
+
+    // Stop admin API
+    if (this.adminServer) {
+      this.adminServer.stop();
+    }
     
     // Stop TCP server
     if (this.tcpServer) {
@@ -264,6 +1023,16 @@ class HepToInfluxDBServer {
       }
     }
 
+    // Stop TLS server
+    if (this.tlsServer) {
+      try {
+        this.tlsServer.stop(true);
+        this.tlsServer.unref();
+      } catch (error) {
+        console.error('Error stopping TLS server:', error);
+      }
+    }
+
     // Stop UDP server
     if (this.udpServer) {
       try {
@@ -283,8 +1052,8 @@ class HepToInfluxDBServer {
   }
 }
 
-// Example usage
-if (require.main === module) {
+// Run the server when started directly; hep-cli.js serve also takes flags
+if (import.meta.main) {
   const server = new HepToInfluxDBServer({
     debug: true,
     writeToFile: false
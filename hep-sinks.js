@@ -0,0 +1,521 @@
+/**
+ * HEP Relay Sinks
+ *
+ * Destinations the relay writes Line Protocol to. Every sink batches records on its
+ * own, with its own batch size, flush interval, write queue and retry backoff, so a
+ * slow or unreachable destination never holds up the others.
+ */
+
+import HepWriteQueue from './hep-queue.js';
+import HepParquetWriter from './hep-parquet.js';
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+
+// Names accepted for sinks; a sink's name is also its queue directory
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+class HepSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {string} options.name - Sink name, used in stats, metrics and the queue directory
+   * @param {string} options.database - Database for records not routed elsewhere
+   * @param {number} options.batchSize - Records per batch
+   * @param {number} options.flushInterval - Maximum time between flushes (ms)
+   * @param {number} options.maxBufferSize - Records held in memory by the write queue
+   * @param {boolean} options.spillToDisk - Spill batches to disk once the memory limit is reached
+   * @param {string} options.queueDir - Directory for spilled batches
+   * @param {number} options.maxQueueDiskBytes - Disk space allowed for spilled batches
+   * @param {string} options.dropPolicy - Batches to drop when the queue is full: 'oldest' or 'newest'
+   * @param {number} options.retryBaseDelay - First retry delay after a failed write (ms)
+   * @param {number} options.retryMaxDelay - Longest retry delay (ms)
+   * @param {Function} options.onWrite - Called with the duration of every successful write (seconds)
+   * @param {boolean} options.debug - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    if (!NAME_PATTERN.test(this.name || '')) {
+      throw new Error(`Invalid sink name '${this.name}'`);
+    }
+
+    this.type = 'sink';
+    // Options the sink was created with, so a reload can tell whether it changed
+    this.settings = JSON.stringify(options, (key, value) => typeof value === 'function' ? undefined : value);
+    this.database = options.database || 'hep';
+    this.batchSize = parseInt(options.batchSize, 10) || 1000;
+    this.flushInterval = parseInt(options.flushInterval, 10) || 5000;
+    this.retryBaseDelay = parseInt(options.retryBaseDelay, 10) || 1000;
+    this.retryMaxDelay = parseInt(options.retryMaxDelay, 10) || 60000;
+    this.onWrite = options.onWrite || (() => {});
+    this.debug = !!options.debug;
+
+    // Records waiting to be batched, by target database
+    this.buffers = new Map();
+    this.lastFlushTime = Date.now();
+
+    // Batches waiting to be written, retried until the destination accepts them
+    this.queue = new HepWriteQueue({
+      dir: options.queueDir,
+      maxMemoryRecords: parseInt(options.maxBufferSize, 10) || 10000,
+      maxDiskBytes: parseInt(options.maxQueueDiskBytes, 10) || 512 * 1024 * 1024,
+      spillToDisk: options.spillToDisk,
+      dropPolicy: options.dropPolicy,
+      debug: this.debug
+    });
+    this.draining = false;
+    this.retryAttempts = 0;
+    this.retryTimeoutId = null;
+    this.flushIntervalId = null;
+    this.closing = false;
+
+    // Statistics
+    this.stats = {
+      recordsSent: 0,
+      batchesSent: 0,
+      sendErrors: 0,
+      batchesRetried: 0,
+      batchesRejected: 0,
+      queueErrors: 0
+    };
+  }
+
+  /**
+   * Describe where the sink writes to
+   * @returns {string} Target URL or path
+   */
+  get target() {
+    return this.name;
+  }
+
+  /**
+   * Open the sink, pick up batches a previous run could not deliver and start flushing
+   */
+  async open() {
+    await this.queue.open();
+
+    this.flushIntervalId = setInterval(() => {
+      this.conditionalFlush();
+    }, this.flushInterval);
+
+    // Start replaying anything recovered from disk
+    this.drainQueue().catch(error => this.onQueueError(error));
+  }
+
+  /**
+   * Add a record to the buffer of its database
+   * @param {string} lineProtocol - Line Protocol record
+   * @param {string} database - Target database, defaults to the sink's database
+   */
+  write(lineProtocol, database = this.database) {
+    if (!this.buffers.has(database)) this.buffers.set(database, []);
+    const buffer = this.buffers.get(database);
+    buffer.push(lineProtocol);
+
+    // A full buffer is flushed on its own; other databases keep filling their batches
+    if (buffer.length >= this.batchSize) {
+      this.flush(database).catch(error => this.onQueueError(error));
+    }
+  }
+
+  /**
+   * Count the records waiting in every buffer
+   * @returns {number} Buffered records
+   */
+  getBufferedCount() {
+    let count = 0;
+    for (const buffer of this.buffers.values()) count += buffer.length;
+    return count;
+  }
+
+  /**
+   * Flush buffer if the flush interval has passed
+   */
+  conditionalFlush() {
+    const timeSinceLastFlush = Date.now() - this.lastFlushTime;
+
+    if (this.getBufferedCount() > 0 && timeSinceLastFlush >= this.flushInterval) {
+      this.flush().catch(error => this.onQueueError(error));
+    }
+  }
+
+  /**
+   * Count a failed queue operation from a flush nobody waits for
+   * @param {Error} error - Error from the write queue
+   */
+  onQueueError(error) {
+    this.stats.queueErrors++;
+    console.error(`Sink ${this.name}: write queue error: ${error.message}`);
+  }
+
+  /**
+   * Move buffered records to the write queue and write what is queued
+   * @param {string} database - Only move the records of this database; all if not given
+   */
+  async flush(database) {
+    const buffers = [...this.buffers]
+      .filter(([name, buffer]) => buffer.length > 0 && (database === undefined || name === database));
+    if (buffers.length > 0) {
+      for (const [name] of buffers) this.buffers.delete(name);
+      if (database === undefined) this.lastFlushTime = Date.now();
+
+      // One batch per database, since each write targets a single database
+      for (const [database, buffer] of buffers) {
+        await this.queue.push({ data: buffer.join('\n'), count: buffer.length, database });
+      }
+    }
+
+    await this.drainQueue();
+  }
+
+  /**
+   * Write queued batches in order until the queue is empty or a write fails
+   */
+  async drainQueue() {
+    // One writer at a time; a pending retry owns the next attempt
+    if (this.draining || this.retryTimeoutId) return;
+    this.draining = true;
+
+    try {
+      let batch;
+      while ((batch = await this.queue.peek())) {
+        const startTime = process.hrtime.bigint();
+        try {
+          await this.writeBatch(batch.data, batch.database || this.database);
+          this.onWrite(Number(process.hrtime.bigint() - startTime) / 1e9);
+        } catch (error) {
+          this.stats.sendErrors++;
+
+          if (!this.isRetryable(error)) {
+            // The destination refused the data itself; retrying would block the queue forever
+            this.stats.batchesRejected++;
+            console.error(`Sink ${this.name}: dropping batch of ${batch.count} records rejected by sink: ${error.message}`);
+            await this.queue.remove(batch);
+            continue;
+          }
+
+          this.scheduleRetry();
+          break;
+        }
+
+        await this.queue.remove(batch);
+        this.retryAttempts = 0;
+        this.stats.batchesSent++;
+        this.stats.recordsSent += batch.count;
+
+        if (this.debug) {
+          console.log(`Sink ${this.name}: flushed ${batch.count} records`);
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Schedule the next write attempt with exponential backoff
+   */
+  scheduleRetry() {
+    // A closing sink leaves the rest in its queue for the next start
+    if (this.closing) return;
+
+    const delay = Math.min(this.retryBaseDelay * Math.pow(2, this.retryAttempts), this.retryMaxDelay);
+
+    this.retryAttempts++;
+    this.stats.batchesRetried++;
+
+    if (this.debug) {
+      console.log(`Sink ${this.name}: retrying write in ${delay}ms (attempt ${this.retryAttempts})`);
+    }
+
+    this.retryTimeoutId = setTimeout(() => {
+      this.retryTimeoutId = null;
+      this.drainQueue().catch(error => this.onQueueError(error));
+    }, delay);
+  }
+
+  /**
+   * Decide whether a failed write should be retried
+   * @param {Error} error - Write error
+   * @returns {boolean} False for client errors the destination will never accept
+   */
+  isRetryable(error) {
+    const status = error.response && error.response.status;
+    if (!status) return true;
+    return status >= 500 || status === 408 || status === 429;
+  }
+
+  /**
+   * Write one batch to the destination
+   * @param {string} data - Line Protocol formatted data
+   * @param {string} database - Target database
+   */
+  async writeBatch(data, database) {
+    throw new Error(`Sink ${this.name} cannot write`);
+  }
+
+  /**
+   * Check whether the destination can currently be reached
+   * @returns {Promise<Object>} Sink description with a reachable flag
+   */
+  async check() {
+    return { name: this.name, type: this.type, target: this.target, reachable: true };
+  }
+
+  /**
+   * Flush what is buffered and persist what could not be written
+   */
+  async close() {
+    this.closing = true;
+
+    if (this.flushIntervalId) {
+      clearInterval(this.flushIntervalId);
+      this.flushIntervalId = null;
+    }
+
+    // Make one last attempt now instead of waiting for the backoff
+    if (this.retryTimeoutId) {
+      clearTimeout(this.retryTimeoutId);
+      this.retryTimeoutId = null;
+    }
+
+    await this.flush();
+
+    // Whatever could not be delivered is replayed on the next start
+    await this.queue.close();
+  }
+
+  /**
+   * Get sink statistics
+   * @returns {Object} Sink statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      ...this.queue.getStats(),
+      bufferSize: this.getBufferedCount()
+    };
+  }
+}
+
+class HepGigapiSink extends HepSink {
+  /**
+   * @param {Object} options - Sink options, plus:
+   * @param {string} options.url - GigAPI/InfluxDB base URL
+   * @param {number} options.timeout - Request timeout (ms), 0 for none
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'gigapi';
+    this.url = options.url || 'http://localhost:7971';
+    this.timeout = parseInt(options.timeout, 10) || 0;
+  }
+
+  get target() {
+    return this.url;
+  }
+
+  /**
+   * Send a batch to the /write endpoint
+   * @param {string} data - Line Protocol formatted data
+   * @param {string} database - Target database
+   */
+  async writeBatch(data, database) {
+    const url = `${this.url}/write?db=${encodeURIComponent(database)}`;
+
+    try {
+      const response = await axios.post(url, data, {
+        timeout: this.timeout,
+        headers: {
+          'Content-Type': 'text/plain'
+        }
+      });
+
+      if (response.status !== 204) {
+        console.warn(`Sink ${this.name}: InfluxDB returned unexpected status: ${response.status}`);
+      }
+    } catch (error) {
+      console.error(`Sink ${this.name}: InfluxDB write error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async check() {
+    try {
+      // Any HTTP answer proves the endpoint is up; only network errors count
+      await axios.get(this.url, { timeout: 2000, validateStatus: () => true });
+      return { name: this.name, type: this.type, target: this.url, reachable: true };
+    } catch (error) {
+      return { name: this.name, type: this.type, target: this.url, reachable: false, error: error.message };
+    }
+  }
+}
+
+class HepFileSink extends HepSink {
+  /**
+   * @param {Object} options - Sink options, plus:
+   * @param {string} options.dir - Output directory
+   * @param {string} options.format - 'lp' (Line Protocol files) or 'parquet'
+   * @param {number} options.parquetRowGroupSize - Rows per Parquet row group
+   * @param {number} options.parquetMaxRowsPerFile - Rows per Parquet file before rotating
+   * @param {number} options.parquetRotateInterval - Maximum age of an open Parquet file (ms)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'file';
+    this.dir = options.dir || './data';
+    this.format = options.format || 'lp';
+    // Numbers the files written, so batches written within the same millisecond get names of their own
+    this.fileSequence = 0;
+
+    // Parquet output, written through DuckDB in the GigAPI directory layout
+    if (this.format === 'parquet') {
+      this.parquetWriter = new HepParquetWriter({
+        outputDir: this.dir,
+        database: this.database,
+        rowGroupSize: parseInt(options.parquetRowGroupSize, 10),
+        maxRowsPerFile: parseInt(options.parquetMaxRowsPerFile, 10),
+        rotateInterval: parseInt(options.parquetRotateInterval, 10),
+        debug: this.debug
+      });
+    } else if (this.format !== 'lp') {
+      throw new Error(`Sink ${this.name}: unknown file format '${this.format}'`);
+    }
+  }
+
+  get target() {
+    return this.dir;
+  }
+
+  async open() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    if (this.parquetWriter) {
+      await this.parquetWriter.open();
+    }
+
+    await super.open();
+  }
+
+  conditionalFlush() {
+    super.conditionalFlush();
+
+    // Close Parquet partitions that have been open long enough
+    if (this.parquetWriter) {
+      this.parquetWriter.rotate().catch(error => {
+        console.error(`Sink ${this.name}: Parquet rotation error: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Write a batch to a Line Protocol file, or stage it for Parquet
+   * @param {string} data - Line Protocol formatted data
+   * @param {string} database - Target database
+   */
+  async writeBatch(data, database) {
+    if (this.parquetWriter) {
+      try {
+        await this.parquetWriter.write(data, database);
+      } catch (error) {
+        console.error(`Sink ${this.name}: Parquet write error: ${error.message}`);
+        throw error;
+      }
+      return;
+    }
+
+    try {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      // Records routed to another database go to a directory of their own
+      let dir = this.dir;
+      if (database !== this.database) {
+        dir = path.join(dir, database);
+        await fs.promises.mkdir(dir, { recursive: true });
+      }
+      const filePath = path.join(dir, `hep_${timestamp}_${this.fileSequence++}.lp`);
+
+      // Never replace a file, even one a previous run left with the same name
+      await fs.promises.writeFile(filePath, data, { flag: 'wx' });
+
+      if (this.debug) {
+        console.log(`Sink ${this.name}: wrote data to file: ${filePath}`);
+      }
+    } catch (error) {
+      console.error(`Sink ${this.name}: file write error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async check() {
+    try {
+      await fs.promises.access(this.dir, fs.constants.W_OK);
+      return { name: this.name, type: this.type, target: this.dir, reachable: true };
+    } catch (error) {
+      return { name: this.name, type: this.type, target: this.dir, reachable: false, error: error.message };
+    }
+  }
+
+  async close() {
+    await super.close();
+
+    // Write out partially filled Parquet files
+    if (this.parquetWriter) {
+      try {
+        await this.parquetWriter.close();
+      } catch (error) {
+        console.error(`Sink ${this.name}: error closing Parquet writer:`, error);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      ...(this.parquetWriter ? this.parquetWriter.getStats() : {})
+    };
+  }
+}
+
+class HepStdoutSink extends HepSink {
+  /**
+   * @param {Object} options - Sink options, plus:
+   * @param {Object} options.stream - Writable stream, defaults to process.stdout
+   */
+  constructor(options = {}) {
+    super({ spillToDisk: false, ...options });
+    this.type = 'stdout';
+    this.stream = options.stream || process.stdout;
+  }
+
+  get target() {
+    return 'stdout';
+  }
+
+  /**
+   * Print a batch, one record per line
+   * @param {string} data - Line Protocol formatted data
+   */
+  async writeBatch(data) {
+    await new Promise((resolve, reject) => {
+      this.stream.write(`${data}\n`, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+const SINK_TYPES = {
+  gigapi: HepGigapiSink,
+  file: HepFileSink,
+  stdout: HepStdoutSink
+};
+
+// Function to create a sink from its configuration
+export function createHepSink(options = {}) {
+  const Sink = SINK_TYPES[options.type];
+  if (!Sink) {
+    throw new Error(`Unknown sink type '${options.type}'`);
+  }
+  return new Sink(options);
+}
+
+export { HepSink, HepGigapiSink, HepFileSink, HepStdoutSink };
+
+export default createHepSink;
@@ -0,0 +1,186 @@
+/**
+ * HEP Tenant Routing
+ *
+ * Maps capture agents to the database their records are written to, so one relay can
+ * serve several customers and each ends up in a GigAPI database of its own. A tenant
+ * is identified by capture IDs, capture node names (HEP chunk 0x0013) and the networks
+ * its agents send from; the first tenant with any match wins. Packets of no tenant go
+ * to each sink's own database.
+ *
+ *   tenants:
+ *     - name: acme
+ *       database: acme
+ *       captureId: [2001, 2002]
+ *       node: 'acme-*'
+ *       network: 198.51.100.0/24
+ */
+
+import { parseCidr, ipInNetworks, NAME_PATTERN } from './hep-rules.js';
+
+/**
+ * Compile a node name, where `*` matches any run of characters
+ * @param {string} pattern - Node name or pattern
+ * @returns {RegExp} Anchored expression
+ */
+function compileNodePattern(pattern) {
+  const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+class HepTenantRouter {
+  /**
+   * @param {Object} options - Router options
+   * @param {Array<Object>} options.tenants - Tenants, matched in order:
+   *   `{ name, database, captureId, node, network }`; each selector takes a value or a list
+   * @param {number} options.maxAgents - Capture agents whose tenant is remembered for
+   *   records built across packets, such as call summaries
+   */
+  constructor(options = {}) {
+    this.maxAgents = options.maxAgents || 10000;
+    // Database of the latest packet of each capture agent
+    this.agents = new Map();
+
+    // Statistics
+    this.stats = {
+      tenantPacketsUnmatched: 0
+    };
+
+    this.setTenants(options.tenants || []);
+  }
+
+  /**
+   * Replace the tenants; nothing changes if any entry is invalid
+   * @param {Array<Object>} tenants - Tenants, matched in order
+   */
+  setTenants(tenants) {
+    if (!Array.isArray(tenants)) {
+      throw new Error('Tenants must be an array');
+    }
+
+    const names = new Set();
+    this.tenants = tenants.map((tenant, index) => {
+      const name = (tenant && tenant.name) || (tenant && tenant.database) || `tenant_${index}`;
+      if (!tenant || typeof tenant !== 'object') {
+        throw new Error(`Tenant ${name}: must be an object`);
+      }
+      if (!NAME_PATTERN.test(tenant.database || '')) {
+        throw new Error(`Tenant ${name}: invalid database '${tenant.database ?? ''}'`);
+      }
+      if (names.has(name)) {
+        throw new Error(`Tenant ${name}: defined twice`);
+      }
+      names.add(name);
+      for (const key of Object.keys(tenant)) {
+        if (!['name', 'database', 'captureId', 'node', 'network'].includes(key)) {
+          throw new Error(`Tenant ${name}: unknown setting '${key}'`);
+        }
+      }
+
+      const list = (key) => (tenant[key] === undefined ? [] : [].concat(tenant[key]));
+      const compiled = {
+        name,
+        database: tenant.database,
+        captureIds: new Set(list('captureId').map(String)),
+        nodes: list('node').map(compileNodePattern),
+        networks: list('network').map(network => {
+          try {
+            return parseCidr(network);
+          } catch (error) {
+            throw new Error(`Tenant ${name}: ${error.message}`);
+          }
+        }),
+        packets: 0
+      };
+      if (compiled.captureIds.size === 0 && compiled.nodes.length === 0 && compiled.networks.length === 0) {
+        throw new Error(`Tenant ${name}: needs a captureId, node or network`);
+      }
+      return compiled;
+    });
+
+    // Agents may belong to another tenant now
+    this.agents.clear();
+  }
+
+  /**
+   * Find the tenant of a packet
+   * @param {Object} header - HEP protocol header
+   * @param {string} remoteAddress - Address of the sending agent, if known
+   * @returns {Object|null} Tenant, or null if no tenant matches
+   */
+  resolve(header, remoteAddress) {
+    const captureId = String(header.captureId ?? '');
+    const node = header.hepNodeName !== undefined ? String(header.hepNodeName) : null;
+    const address = typeof remoteAddress === 'string' ? remoteAddress.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '') : null;
+
+    return this.tenants.find(tenant =>
+      tenant.captureIds.has(captureId) ||
+      (node !== null && tenant.nodes.some(pattern => pattern.test(node))) ||
+      (address !== null && ipInNetworks(address, tenant.networks))) || null;
+  }
+
+  /**
+   * Pick the database of a packet and count it for its tenant
+   * @param {Object} header - HEP protocol header
+   * @param {string} remoteAddress - Address of the sending agent, if known
+   * @returns {string|undefined} Tenant database, or undefined for the sink's own
+   */
+  route(header, remoteAddress) {
+    if (this.tenants.length === 0) return undefined;
+
+    const tenant = this.resolve(header, remoteAddress);
+    const captureId = String(header.captureId ?? '');
+    if (!tenant) {
+      this.stats.tenantPacketsUnmatched++;
+      this.agents.delete(captureId);
+      return undefined;
+    }
+
+    tenant.packets++;
+    if (this.agents.get(captureId) !== tenant.database) {
+      this.agents.delete(captureId);
+      if (this.agents.size >= this.maxAgents) {
+        this.agents.delete(this.agents.keys().next().value);
+      }
+      this.agents.set(captureId, tenant.database);
+    }
+    return tenant.database;
+  }
+
+  /**
+   * Pick the database of a record built across packets, from its `capture_id` tag:
+   * the tenant of that agent's latest packet
+   * @param {Object} record - Record with measurement, tags, fields and timestamp
+   * @returns {string|undefined} Tenant database, or undefined for the sink's own
+   */
+  routeRecord(record) {
+    const captureId = record.tags && record.tags.capture_id;
+    if (captureId === undefined) return undefined;
+    return this.agents.get(String(captureId));
+  }
+
+  /**
+   * Get the number of packets routed to each tenant
+   * @returns {Array<Object>} Tenant names, databases and packet counts, in tenant order
+   */
+  getTenantPackets() {
+    return this.tenants.map(tenant => ({ tenant: tenant.name, database: tenant.database, packets: tenant.packets }));
+  }
+
+  /**
+   * Get tenant statistics
+   * @returns {Object} Tenant statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      tenants: this.tenants.length
+    };
+  }
+}
+
+// Function to create a new tenant router
+export function createHepTenantRouter(options) {
+  return new HepTenantRouter(options);
+}
+
+export default HepTenantRouter;
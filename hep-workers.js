@@ -0,0 +1,387 @@
+/**
+ * HEP Conversion Workers
+ *
+ * Decoding HEP, parsing SIP, building records and serializing them to Line Protocol
+ * take most of the time spent per packet. A pool of worker threads does that work off the main event loop, so
+ * the loop keeps reading sockets at high packet rates. Packets are sent to the
+ * workers in batches, copied into one buffer whose ownership is transferred rather
+ * than cloned; each packet comes back with its header, payload, typed record and
+ * Line Protocol line.
+ *
+ * In ordered mode results are delivered in the order packets were submitted; in
+ * unordered mode each batch is delivered as soon as its worker finishes it.
+ */
+
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import HepToLineProtocolConverter from './hep-proto.js';
+import HepRedactor from './hep-redact.js';
+
+/**
+ * Apply converter settings; shared by the main thread and the workers so both
+ * convert alike
+ * @param {HepToLineProtocolConverter} converter - Converter to configure
+ * @param {Object} settings - Converter settings
+ * @param {boolean} settings.debug - Enable debug logging
+ * @param {Array<string>} settings.sipHeaders - SIP headers stored as fields
+ * @param {boolean} settings.includeParsedValues - Also store parsed header values
+ * @param {boolean} settings.parseSdp - Extract media fields from SDP bodies
+ * @param {boolean} settings.storeCapturePass - Store the capture password as a tag
+ * @param {Object} settings.schema - Schema mapping
+ * @param {Object} settings.redaction - HepRedactor options
+ * @returns {HepRedactor} Redactor set on the converter
+ */
+export function configureConverter(converter, settings) {
+  converter.setDebug(settings.debug);
+  converter.setSipHeaders(settings.sipHeaders);
+  converter.setIncludeParsedValues(settings.includeParsedValues);
+  converter.setParseSdp(settings.parseSdp);
+  converter.setStoreCapturePass(settings.storeCapturePass);
+  converter.setSchema(settings.schema);
+
+  // Personal data masked before storage, in packets and in derived records alike
+  const redactor = new HepRedactor(settings.redaction);
+  converter.setRedactor(redactor);
+  return redactor;
+}
+
+class HepWorkerPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.workers - Number of worker threads
+   * @param {number} options.batchSize - Packets sent to a worker at once
+   * @param {boolean} options.ordered - Deliver results in submission order
+   * @param {number} options.maxQueue - Packets waiting for a worker before new ones are dropped
+   * @param {Object} options.settings - Converter settings, see configureConverter()
+   * @param {boolean} options.collectSip - Return SIP message summaries for trackers
+   * @param {Function} options.onResult - Called as `onResult(result, packet, context)`
+   *   for every packet; result holds `header`, `type`, `raw`, `record` and its Line
+   *   Protocol `line` (or `recordError`) and `sip`, or `error` if the packet could not be decoded
+   * @param {boolean} options.debug - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.size = Math.max(1, parseInt(options.workers, 10) || 1);
+    this.batchSize = parseInt(options.batchSize, 10) || 64;
+    this.ordered = options.ordered !== false;
+    this.maxQueue = parseInt(options.maxQueue, 10) || 50000;
+    this.settings = options.settings || {};
+    this.collectSip = !!options.collectSip;
+    this.onResult = options.onResult || (() => {});
+    this.debug = !!options.debug;
+
+    this.workers = [];
+    // Packets and contexts of the batch being filled
+    this.batch = { packets: [], contexts: [] };
+    this.dispatchScheduled = false;
+    // Batches handed to a worker, by batch ID
+    this.inFlight = new Map();
+    // Finished batches held back in ordered mode, and the next one to deliver
+    this.completed = new Map();
+    this.nextBatchId = 0;
+    this.nextDelivery = 0;
+    this.queuedPackets = 0;
+    this.waiters = [];
+    this.idleWaiters = [];
+    this.closing = false;
+
+    // Statistics
+    this.stats = {
+      workerBatches: 0,
+      workerPacketsDropped: 0,
+      workerFailures: 0
+    };
+  }
+
+  /**
+   * Start the worker threads
+   */
+  async open() {
+    await Promise.all(Array.from({ length: this.size }, () => this.startWorker()));
+  }
+
+  /**
+   * Start a worker thread and wait until it is ready
+   * @returns {Promise<Object>} Worker slot
+   */
+  startWorker() {
+    const worker = new Worker(new URL(import.meta.url), {
+      workerData: { hepWorker: true, settings: this.settings, collectSip: this.collectSip }
+    });
+    const slot = { worker, batches: 0 };
+    this.workers.push(slot);
+
+    worker.on('message', (message) => this.handleMessage(slot, message));
+    worker.on('error', (error) => this.handleFailure(slot, error));
+    worker.on('exit', (code) => {
+      if (!this.closing && this.workers.includes(slot)) {
+        this.handleFailure(slot, new Error(`worker exited with code ${code}`));
+      }
+    });
+
+    return new Promise((resolve, reject) => {
+      worker.once('online', () => {
+        this.dispatch();
+        resolve(slot);
+      });
+      worker.once('error', reject);
+    });
+  }
+
+  /**
+   * Send new converter settings to every worker, e.g. after a configuration reload
+   * @param {Object} settings - Converter settings
+   */
+  configure(settings) {
+    this.settings = settings;
+    for (const { worker } of this.workers) {
+      worker.postMessage({ type: 'configure', settings });
+    }
+  }
+
+  /**
+   * Whether the queue is full, so submit() would drop the packet
+   * @returns {boolean} True if full
+   */
+  isFull() {
+    return this.queuedPackets >= this.maxQueue;
+  }
+
+  /**
+   * Wait until the queue has room, for sources that can wait instead of losing packets
+   * @returns {Promise} Resolved once a packet can be submitted
+   */
+  waitForRoom() {
+    if (!this.isFull()) return Promise.resolve();
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  /**
+   * Queue a packet for conversion
+   * @param {Buffer} packet - Raw HEP packet
+   * @param {Object} context - Passed back with the result
+   * @returns {boolean} False if the queue was full and the packet was dropped
+   */
+  submit(packet, context = {}) {
+    if (this.isFull()) {
+      this.stats.workerPacketsDropped++;
+      return false;
+    }
+
+    this.batch.packets.push(packet);
+    this.batch.contexts.push(context);
+    this.queuedPackets++;
+
+    if (this.batch.packets.length >= this.batchSize) {
+      this.dispatch();
+    } else if (!this.dispatchScheduled) {
+      // A partial batch goes out once the packets read so far have been handled
+      this.dispatchScheduled = true;
+      setImmediate(() => this.dispatch());
+    }
+    return true;
+  }
+
+  /**
+   * Send the batch being filled to the least busy worker
+   */
+  dispatch() {
+    this.dispatchScheduled = false;
+    const { packets, contexts } = this.batch;
+    // With every worker restarting the batch waits for the first one back
+    if (packets.length === 0 || this.workers.length === 0) return;
+    this.batch = { packets: [], contexts: [] };
+
+    // One buffer for the whole batch, transferred to the worker without copying
+    const lengths = packets.map(packet => packet.length);
+    const buffer = new Uint8Array(lengths.reduce((total, length) => total + length, 0));
+    let offset = 0;
+    for (const packet of packets) {
+      buffer.set(packet, offset);
+      offset += packet.length;
+    }
+
+    const slot = this.workers.reduce((best, candidate) => (candidate.batches < best.batches ? candidate : best));
+    const id = this.nextBatchId++;
+    this.inFlight.set(id, { packets, contexts, slot });
+    slot.batches++;
+    this.stats.workerBatches++;
+    slot.worker.postMessage({ type: 'convert', id, buffer, lengths }, [buffer.buffer]);
+  }
+
+  /**
+   * Handle the results of a batch
+   * @param {Object} slot - Worker slot
+   * @param {Object} message - Message from the worker
+   */
+  handleMessage(slot, message) {
+    const batch = this.inFlight.get(message.id);
+    if (!batch) return;
+    this.inFlight.delete(message.id);
+    slot.batches--;
+    this.complete(message.id, batch, message.results);
+  }
+
+  /**
+   * Replace a failed worker; the packets it was converting are reported as errors
+   * @param {Object} slot - Worker slot
+   * @param {Error} error - What went wrong
+   */
+  handleFailure(slot, error) {
+    if (!this.workers.includes(slot)) return;
+    console.error('HEP conversion worker failed:', error);
+    this.stats.workerFailures++;
+    this.workers = this.workers.filter(candidate => candidate !== slot);
+    slot.worker.terminate().catch(() => {});
+
+    for (const [id, batch] of this.inFlight) {
+      if (batch.slot !== slot) continue;
+      this.inFlight.delete(id);
+      this.complete(id, batch, batch.packets.map(() => ({ error: error.message })));
+    }
+
+    if (!this.closing) {
+      this.startWorker().catch(startError => console.error('Failed to restart HEP conversion worker:', startError));
+    }
+  }
+
+  /**
+   * Deliver a finished batch, or hold it until the batches before it are done
+   * @param {number} id - Batch ID
+   * @param {Object} batch - Packets and contexts of the batch
+   * @param {Array<Object>} results - Result per packet
+   */
+  complete(id, batch, results) {
+    if (!this.ordered) {
+      this.deliver(batch, results);
+    } else {
+      this.completed.set(id, { batch, results });
+      while (this.completed.has(this.nextDelivery)) {
+        const next = this.completed.get(this.nextDelivery);
+        this.completed.delete(this.nextDelivery);
+        this.nextDelivery++;
+        this.deliver(next.batch, next.results);
+      }
+    }
+
+    if (!this.isFull()) {
+      for (const resolve of this.waiters.splice(0)) resolve();
+    }
+    if (this.queuedPackets === 0) {
+      for (const resolve of this.idleWaiters.splice(0)) resolve();
+    }
+  }
+
+  /**
+   * Hand every result of a batch to the callback
+   * @param {Object} batch - Packets and contexts of the batch
+   * @param {Array<Object>} results - Result per packet
+   */
+  deliver(batch, results) {
+    this.queuedPackets -= batch.packets.length;
+    for (let i = 0; i < results.length; i++) {
+      try {
+        this.onResult(results[i], batch.packets[i], batch.contexts[i]);
+      } catch (error) {
+        if (this.debug) console.error('Error handling converted packet:', error);
+      }
+    }
+  }
+
+  /**
+   * Wait until every submitted packet has been delivered
+   */
+  async drain() {
+    this.dispatch();
+    if (this.queuedPackets === 0) return;
+    await new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Deliver the remaining packets and stop the workers
+   */
+  async close() {
+    if (this.workers.length > 0) {
+      await this.drain();
+    }
+    this.closing = true;
+    await Promise.all(this.workers.map(({ worker }) => worker.terminate()));
+    this.workers = [];
+  }
+
+  /**
+   * Get pool statistics
+   * @returns {Object} Pool statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      workers: this.workers.length,
+      workerQueueDepth: this.queuedPackets,
+      workerBatchesInFlight: this.inFlight.size
+    };
+  }
+}
+
+/**
+ * Run a conversion worker: convert the batches the pool sends
+ * @param {Object} data - Worker data from the pool
+ */
+function runWorker(data) {
+  const converter = new HepToLineProtocolConverter();
+  configureConverter(converter, data.settings);
+
+  // The SIP summary of the packet being converted, for trackers on the main thread
+  let sip = null;
+  if (data.collectSip) {
+    converter.addSipListener((message) => {
+      // Raw parsed headers are not sent back; trackers do not use them
+      const { headers, ...summary } = message;
+      sip = summary;
+    });
+  }
+
+  const convert = (packet) => {
+    try {
+      sip = null;
+      const hepData = converter.decodePacket(packet);
+      const result = { header: hepData.protocol_header, type: hepData.type, raw: hepData.raw };
+      // A packet that decodes but cannot be converted is still forwarded and counted
+      try {
+        result.record = converter.createRecord(hepData);
+        result.line = converter.serialize(result.record);
+      } catch (error) {
+        result.recordError = error.message;
+      }
+      result.sip = sip;
+      return result;
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+
+  parentPort.on('message', (message) => {
+    if (message.type === 'configure') {
+      configureConverter(converter, message.settings);
+      return;
+    }
+
+    const buffer = Buffer.from(message.buffer.buffer, message.buffer.byteOffset, message.buffer.byteLength);
+    let offset = 0;
+    const results = message.lengths.map((length) => {
+      const packet = buffer.subarray(offset, offset + length);
+      offset += length;
+      return convert(packet);
+    });
+    parentPort.postMessage({ id: message.id, results });
+  });
+}
+
+if (!isMainThread && workerData && workerData.hepWorker) {
+  runWorker(workerData);
+}
+
+// Function to create a new worker pool
+export function createHepWorkerPool(options) {
+  return new HepWorkerPool(options);
+}
+
+export default HepWorkerPool;